@@ -0,0 +1,246 @@
+#!/usr/bin/env node
+/**
+ * Terminal CLI
+ * Renders the waves live in a terminal with 24-bit ANSI colour
+ */
+
+'use strict';
+
+const { WaveEngine, Presets, Palette, FrameFormat } = require('..');
+
+const ESC = '\x1b[';
+const PRESET_KEYS = ['ocean', 'sunset', 'storm', 'night', 'tropical', 'terminal'];
+const BEACH_SIDES = ['left', 'right', 'top', 'bottom'];
+
+const HELP = `Usage: ascii-waves [options]
+
+Options:
+  -p, --preset <name>    Preset theme (${PRESET_KEYS.join(', ')})
+  -s, --seed <number>    Noise seed
+  -c, --charset <name>   Character set (classic, minimal, dense, unicode)
+  -f, --fps <number>     Frames per second (1-60, default 30)
+  -b, --beach <side>     Add a beach along one edge (${BEACH_SIDES.join(', ')})
+  -h, --help             Show this help
+
+Keys:
+  1-6      Load preset themes
+  Space    Pause/resume
+  q, Esc   Quit
+`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = { preset: 'ocean', seed: null, charset: null, fps: 30, beach: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const [flag, inlineValue] = arg.split('=', 2);
+    const next = () => (inlineValue !== undefined ? inlineValue : argv[++i]);
+
+    switch (flag) {
+      case '-p':
+      case '--preset':
+        options.preset = next();
+        break;
+      case '-s':
+      case '--seed':
+        options.seed = parseInt(next(), 10);
+        break;
+      case '-c':
+      case '--charset':
+        options.charset = next();
+        break;
+      case '-f':
+      case '--fps':
+        options.fps = parseFloat(next());
+        break;
+      case '-b':
+      case '--beach':
+        options.beach = next();
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (!Presets.get(options.preset)) {
+    throw new Error(`Unknown preset: ${options.preset}`);
+  }
+  if (options.seed !== null && isNaN(options.seed)) {
+    throw new Error('Seed must be a number');
+  }
+  if (isNaN(options.fps) || options.fps <= 0) {
+    throw new Error('FPS must be a positive number');
+  }
+  options.fps = Math.min(options.fps, 60);
+  if (options.beach !== null && !BEACH_SIDES.includes(options.beach)) {
+    throw new Error(`Unknown beach side: ${options.beach}`);
+  }
+
+  return options;
+}
+
+class TerminalApp {
+  constructor(options) {
+    this.options = options;
+    this.stdout = process.stdout;
+    this.stdin = process.stdin;
+
+    const seed = options.seed !== null ? options.seed : Math.floor(Math.random() * 999999);
+    this.waveEngine = new WaveEngine({ noiseSeed: seed });
+    if (options.beach) {
+      this.waveEngine.updateConfig({ shoreMode: 'procedural', shoreSide: options.beach });
+    }
+
+    // Minimal stand-in for Renderer so presets apply through Presets.apply
+    this.visual = {
+      config: {},
+      updateConfig(newConfig) {
+        Object.assign(this.config, newConfig);
+      }
+    };
+
+    if (options.charset && !this.waveEngine.characterSets[options.charset]) {
+      throw new Error(`Unknown character set: ${options.charset}`);
+    }
+
+    this.applyPreset(options.preset);
+  }
+
+  /**
+   * Apply a preset, keeping the character set chosen on the command line
+   * @param {string} presetKey - Preset key
+   */
+  applyPreset(presetKey) {
+    Presets.apply(presetKey, this.waveEngine, this.visual);
+    if (this.options.charset) {
+      this.waveEngine.setCharacterSet(this.options.charset);
+    }
+  }
+
+  /**
+   * Build the ANSI text for the current frame
+   * @returns {string} Frame text
+   */
+  renderFrame() {
+    const width = this.stdout.columns || 80;
+    const height = this.stdout.rows || 24;
+    const waveConfig = this.waveEngine.config;
+    const visualConfig = this.visual.config;
+
+    const frame = this.waveEngine.sampleGrid(width, height);
+    const background = Palette.calculateBackgroundColor(waveConfig, visualConfig);
+
+    return FrameFormat.toANSI(
+      frame,
+      (waveValue, layer, surface) => Palette.calculateCellColor(waveValue, layer, this.waveEngine, visualConfig, surface),
+      { background, newline: '\r\n' }
+    );
+  }
+
+  /**
+   * Start the animation loop
+   */
+  start() {
+    // Non-interactive output: print a single frame and exit
+    if (!this.stdout.isTTY) {
+      this.stdout.write(this.renderFrame() + '\n');
+      return;
+    }
+
+    // Alternate screen, hidden cursor
+    this.stdout.write(`${ESC}?1049h${ESC}?25l${ESC}2J`);
+
+    this.setupKeyboard();
+    this.stdout.on('resize', () => this.stdout.write(`${ESC}0m${ESC}2J`));
+    process.on('SIGINT', () => this.stop());
+    process.on('SIGTERM', () => this.stop());
+
+    const frameInterval = 1000 / this.options.fps;
+    let lastTime = Date.now();
+
+    const tick = () => {
+      const now = Date.now();
+      const deltaTime = (now - lastTime) / 1000;
+      lastTime = now;
+
+      this.waveEngine.update(deltaTime);
+
+      this.stdout.write(`${ESC}H` + this.renderFrame());
+
+      const elapsed = Date.now() - now;
+      this.timer = setTimeout(tick, Math.max(0, frameInterval - elapsed));
+    };
+    tick();
+  }
+
+  /**
+   * Setup keyboard controls
+   */
+  setupKeyboard() {
+    if (!this.stdin.isTTY) return;
+
+    this.stdin.setRawMode(true);
+    this.stdin.setEncoding('utf8');
+    this.stdin.resume();
+
+    this.stdin.on('data', (key) => {
+      // q, Esc or Ctrl+C: Quit
+      if (key === 'q' || key === '\x1b' || key === '\x03') {
+        this.stop();
+        return;
+      }
+
+      // Space: Pause/Resume
+      if (key === ' ') {
+        this.waveEngine.togglePause();
+        return;
+      }
+
+      // Number keys 1-6: Load presets
+      const num = parseInt(key);
+      if (num >= 1 && num <= 6) {
+        this.applyPreset(PRESET_KEYS[num - 1]);
+      }
+    });
+  }
+
+  /**
+   * Restore the terminal and exit
+   */
+  stop() {
+    clearTimeout(this.timer);
+    if (this.stdin.isTTY) {
+      this.stdin.setRawMode(false);
+    }
+    this.stdout.write(`${ESC}0m${ESC}?25h${ESC}?1049l`);
+    process.exit(0);
+  }
+}
+
+let options;
+try {
+  options = parseArgs(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write(`ascii-waves: ${e.message}\n\n${HELP}`);
+  process.exit(1);
+}
+
+if (options.help) {
+  process.stdout.write(HELP);
+} else {
+  try {
+    new TerminalApp(options).start();
+  } catch (e) {
+    process.stderr.write(`ascii-waves: ${e.message}\n`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * ASCII Waves
+ * CommonJS entry point for Node and bundlers
+ */
+
+'use strict';
+
+const Utils = require('./public/js/utils.js');
+const SimplexNoise = require('./public/js/noise.js');
+const RippleField = require('./public/js/ripples.js');
+const Terrain = require('./public/js/terrain.js');
+const Sky = require('./public/js/sky.js');
+const Floaters = require('./public/js/floaters.js');
+const Weather = require('./public/js/weather.js');
+const WaveEngine = require('./public/js/wave-engine.js');
+const Presets = require('./public/js/presets.js');
+const Timeline = require('./public/js/timeline.js');
+const DayCycle = require('./public/js/day-cycle.js');
+const Palette = require('./public/js/palette.js');
+const FrameFormat = require('./public/js/frame-format.js');
+const GifEncoder = require('./public/js/gif-encoder.js');
+const GlyphRamp = require('./public/js/glyph-ramp.js');
+const QualityManager = require('./public/js/quality-manager.js');
+
+module.exports = {
+  WaveEngine,
+  SimplexNoise,
+  RippleField,
+  Terrain,
+  Sky,
+  Floaters,
+  Weather,
+  Presets,
+  Timeline,
+  DayCycle,
+  Palette,
+  FrameFormat,
+  GifEncoder,
+  GlyphRamp,
+  QualityManager,
+  Utils
+};
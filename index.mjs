@@ -0,0 +1,23 @@
+/**
+ * ASCII Waves
+ * ES module entry point for Node and bundlers
+ */
+
+import Utils from './public/js/utils.js';
+import SimplexNoise from './public/js/noise.js';
+import RippleField from './public/js/ripples.js';
+import Terrain from './public/js/terrain.js';
+import Sky from './public/js/sky.js';
+import Floaters from './public/js/floaters.js';
+import Weather from './public/js/weather.js';
+import WaveEngine from './public/js/wave-engine.js';
+import Presets from './public/js/presets.js';
+import Timeline from './public/js/timeline.js';
+import DayCycle from './public/js/day-cycle.js';
+import Palette from './public/js/palette.js';
+import FrameFormat from './public/js/frame-format.js';
+import GifEncoder from './public/js/gif-encoder.js';
+import GlyphRamp from './public/js/glyph-ramp.js';
+import QualityManager from './public/js/quality-manager.js';
+
+export { WaveEngine, SimplexNoise, RippleField, Terrain, Sky, Floaters, Weather, Presets, Timeline, DayCycle, Palette, FrameFormat, GifEncoder, GlyphRamp, QualityManager, Utils };
@@ -0,0 +1,184 @@
+/**
+ * Audio Reactive
+ * Web Audio analyser that drives wave parameters from a microphone or audio file
+ */
+
+class AudioReactive {
+  constructor() {
+    this.config = {
+      mappings: {
+        bass: { sensitivity: 1.0, smoothing: 0.7 },
+        mids: { sensitivity: 1.0, smoothing: 0.7 },
+        highs: { sensitivity: 1.0, smoothing: 0.5 },
+        level: { sensitivity: 1.0, smoothing: 0.8 }
+      }
+    };
+
+    // Smoothed band levels (0-1)
+    this.levels = { bass: 0, mids: 0, highs: 0, level: 0 };
+
+    this.context = null;
+    this.analyser = null;
+    this.source = null;
+    this.stream = null;
+    this.audioElement = null;
+    this.active = false;
+  }
+
+  /**
+   * Update configuration
+   * @param {Object} newConfig - New configuration values; mappings merge per band
+   */
+  updateConfig(newConfig) {
+    const mappings = { ...this.config.mappings };
+    Object.entries(newConfig.mappings || {}).forEach(([band, settings]) => {
+      if (mappings[band]) {
+        mappings[band] = { ...mappings[band], ...settings };
+      }
+    });
+    this.config = { ...this.config, ...newConfig, mappings };
+  }
+
+  /**
+   * Get current configuration
+   * @returns {Object} Current configuration
+   */
+  getConfig() {
+    const mappings = {};
+    Object.entries(this.config.mappings).forEach(([band, settings]) => {
+      mappings[band] = { ...settings };
+    });
+    return { ...this.config, mappings };
+  }
+
+  /**
+   * Create the audio context and analyser on first use
+   * Browsers only allow audio to start from a user gesture, so this runs
+   * when a source is chosen rather than on page load.
+   */
+  async setupContext() {
+    if (!this.context) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      this.context = new AudioContextClass();
+      this.analyser = this.context.createAnalyser();
+      this.analyser.fftSize = 2048;
+      // Smoothing is done per mapping instead
+      this.analyser.smoothingTimeConstant = 0;
+      this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+    }
+
+    if (this.context.state === 'suspended') {
+      await this.context.resume();
+    }
+  }
+
+  /**
+   * Listen to the microphone
+   * The microphone isn't played back, so it can't feed back into itself.
+   */
+  async startMicrophone() {
+    this.stop();
+    await this.setupContext();
+
+    this.stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    this.source = this.context.createMediaStreamSource(this.stream);
+    this.source.connect(this.analyser);
+    this.active = true;
+  }
+
+  /**
+   * Play a local audio file on a loop and listen to it
+   * @param {File} file - Audio file
+   */
+  async startFile(file) {
+    this.stop();
+    await this.setupContext();
+
+    this.audioElement = new Audio(URL.createObjectURL(file));
+    this.audioElement.loop = true;
+    this.source = this.context.createMediaElementSource(this.audioElement);
+    this.source.connect(this.analyser);
+    this.analyser.connect(this.context.destination);
+    await this.audioElement.play();
+    this.active = true;
+  }
+
+  /**
+   * Stop listening and release the microphone or file
+   */
+  stop() {
+    if (this.source) {
+      this.source.disconnect();
+      this.source = null;
+    }
+    if (this.analyser) {
+      this.analyser.disconnect();
+    }
+    if (this.stream) {
+      this.stream.getTracks().forEach(track => track.stop());
+      this.stream = null;
+    }
+    if (this.audioElement) {
+      this.audioElement.pause();
+      URL.revokeObjectURL(this.audioElement.src);
+      this.audioElement = null;
+    }
+
+    this.active = false;
+    Object.keys(this.levels).forEach(band => {
+      this.levels[band] = 0;
+    });
+  }
+
+  /**
+   * Read the analyser and smooth each band toward its new level
+   * @param {number} deltaTime - Time elapsed (seconds)
+   */
+  update(deltaTime) {
+    if (!this.active) return;
+
+    this.analyser.getByteFrequencyData(this.frequencyData);
+    const binWidth = this.context.sampleRate / this.analyser.fftSize;
+
+    Object.entries(AudioReactive.MAPPINGS).forEach(([band, mapping]) => {
+      const first = Math.max(1, Math.floor(mapping.minFrequency / binWidth));
+      const last = Math.min(this.frequencyData.length - 1, Math.ceil(mapping.maxFrequency / binWidth));
+
+      let sum = 0;
+      for (let i = first; i <= last; i++) {
+        sum += this.frequencyData[i];
+      }
+      const raw = sum / ((last - first + 1) * 255);
+
+      // Smoothing is the share of the old level kept per 60th of a second
+      const smoothing = Utils.clamp(this.config.mappings[band].smoothing, 0, 0.99);
+      const keep = Math.pow(smoothing, deltaTime * 60);
+      this.levels[band] = this.levels[band] * keep + raw * (1 - keep);
+    });
+  }
+
+  /**
+   * Get how far the audio moves each parameter from its setting
+   * @returns {Object} Offsets to add, split into wave and visual parameters
+   */
+  getOffsets() {
+    const offsets = { wave: {}, visual: {} };
+    Object.entries(AudioReactive.MAPPINGS).forEach(([band, mapping]) => {
+      const sensitivity = this.config.mappings[band].sensitivity;
+      offsets[mapping.target][mapping.param] = this.levels[band] * sensitivity * mapping.range;
+    });
+    return offsets;
+  }
+}
+
+// Frequency band each mapping listens to (Hz), the parameter it drives and
+// how far a full-scale band moves that parameter at sensitivity 1
+AudioReactive.MAPPINGS = {
+  bass: { minFrequency: 20, maxFrequency: 250, target: 'wave', param: 'amplitude', range: 1.0 },
+  mids: { minFrequency: 250, maxFrequency: 4000, target: 'wave', param: 'choppiness', range: 1.0 },
+  highs: { minFrequency: 4000, maxFrequency: 16000, target: 'wave', param: 'foamThreshold', range: -0.4 },
+  level: { minFrequency: 20, maxFrequency: 16000, target: 'visual', param: 'brightness', range: 0.3 }
+};
+
+// Export for use in other modules
+window.AudioReactive = AudioReactive;
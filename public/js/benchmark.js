@@ -0,0 +1,126 @@
+/**
+ * Benchmark
+ * Compares frame times of the fillText and glyph atlas draw paths
+ */
+
+class Benchmark {
+  constructor() {
+    this.canvas = document.getElementById('benchmarkCanvas');
+    this.results = document.getElementById('benchmarkResults');
+    this.status = document.getElementById('benchmarkStatus');
+    this.running = false;
+
+    const runBtn = document.getElementById('runBenchmark');
+    if (runBtn) {
+      runBtn.addEventListener('click', () => this.run());
+    }
+  }
+
+  /**
+   * Measure both draw paths at every grid size
+   */
+  async run() {
+    if (this.running) return;
+    this.running = true;
+    this.results.innerHTML = '';
+
+    const cellSize = parseInt(document.getElementById('benchmarkCellSize').value);
+    const frames = parseInt(document.getElementById('benchmarkFrames').value);
+
+    for (const [width, height] of Benchmark.GRID_SIZES) {
+      const timings = {};
+      for (const path of ['fillText', 'atlas']) {
+        this.status.textContent = `Drawing ${width}×${height} with ${path}…`;
+
+        // Let the status update before the page blocks again
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        timings[path] = this.measure(width, height, cellSize, frames, path === 'atlas');
+      }
+      this.addResult(width, height, timings);
+    }
+
+    this.status.textContent = 'Done';
+    this.running = false;
+  }
+
+  /**
+   * Time drawing a run of frames
+   * Both paths use the same seed and time step, so they draw the same frames.
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   * @param {number} cellSize - Cell size in pixels
+   * @param {number} frames - Frames to time
+   * @param {boolean} glyphAtlas - Draw with the glyph atlas
+   * @returns {Object} Mean and 95th percentile frame time (ms)
+   */
+  measure(width, height, cellSize, frames, glyphAtlas) {
+    this.canvas.width = width * cellSize;
+    this.canvas.height = height * cellSize;
+
+    const waveEngine = new WaveEngine({ noiseSeed: 42 });
+    const renderer = new Renderer(this.canvas, waveEngine, { autoResize: false, glyphAtlas });
+    renderer.updateConfig({ cellSize });
+
+    // Reading a pixel waits for the canvas to finish drawing
+    const drawFrame = () => {
+      waveEngine.update(1 / 60);
+      renderer.draw();
+      renderer.ctx.getImageData(0, 0, 1, 1);
+    };
+
+    // Untimed frames fill the atlas and warm up the JIT
+    for (let i = 0; i < Benchmark.WARMUP_FRAMES; i++) {
+      drawFrame();
+    }
+
+    const times = [];
+    for (let i = 0; i < frames; i++) {
+      const start = performance.now();
+      drawFrame();
+      times.push(performance.now() - start);
+    }
+
+    times.sort((a, b) => a - b);
+    return {
+      mean: times.reduce((sum, time) => sum + time, 0) / times.length,
+      p95: times[Math.min(times.length - 1, Math.floor(times.length * 0.95))]
+    };
+  }
+
+  /**
+   * Add a row to the results table
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   * @param {Object} timings - Timings by path from measure
+   */
+  addResult(width, height, timings) {
+    const row = document.createElement('tr');
+    const cells = [
+      `${width}×${height}`,
+      (width * height).toLocaleString(),
+      `${Utils.formatNumber(timings.fillText.mean, 1)} / ${Utils.formatNumber(timings.fillText.p95, 1)}`,
+      `${Utils.formatNumber(timings.atlas.mean, 1)} / ${Utils.formatNumber(timings.atlas.p95, 1)}`,
+      `${Utils.formatNumber(timings.fillText.mean / timings.atlas.mean, 2)}×`
+    ];
+
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    this.results.appendChild(row);
+  }
+}
+
+// Grid sizes in cells: small window, laptop, 1080p and 4K at an 8px cell
+Benchmark.GRID_SIZES = [[80, 45], [160, 90], [240, 135], [480, 270]];
+Benchmark.WARMUP_FRAMES = 5;
+
+// Initialize benchmark when DOM is ready
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => {
+    window.benchmark = new Benchmark();
+  });
+} else {
+  window.benchmark = new Benchmark();
+}
@@ -0,0 +1,66 @@
+/**
+ * Wind Compass
+ * On-canvas dial for setting the wind direction by dragging
+ */
+
+class WindCompass {
+  /**
+   * @param {HTMLElement} element - Compass element containing a .compass-needle
+   * @param {Function} onChange - Called with the new direction in degrees while dragging
+   */
+  constructor(element, onChange) {
+    this.element = element;
+    this.needle = element.querySelector('.compass-needle');
+    this.onChange = onChange;
+    this.direction = 0;
+    this.strength = 0;
+
+    this.setupPointer();
+  }
+
+  /**
+   * Setup dragging, which points the needle at the pointer
+   */
+  setupPointer() {
+    const pointTo = (e) => {
+      const rect = this.element.getBoundingClientRect();
+      const dx = e.clientX - (rect.left + rect.width / 2);
+      const dy = e.clientY - (rect.top + rect.height / 2);
+      if (dx === 0 && dy === 0) return;
+
+      const direction = Math.round((Math.atan2(dy, dx) * 180 / Math.PI + 360) % 360);
+      this.update(direction, this.strength);
+      this.onChange(direction);
+    };
+
+    this.element.addEventListener('pointerdown', (e) => {
+      this.element.setPointerCapture(e.pointerId);
+      pointTo(e);
+    });
+
+    this.element.addEventListener('pointermove', (e) => {
+      if (this.element.hasPointerCapture(e.pointerId)) {
+        pointTo(e);
+      }
+    });
+  }
+
+  /**
+   * Point the needle
+   * @param {number} direction - Direction the wind blows toward (degrees, 0 = right, 90 = down)
+   * @param {number} strength - Wind strength (0-1), shown as needle length
+   */
+  update(direction, strength) {
+    this.direction = direction;
+    this.strength = strength;
+
+    if (this.needle) {
+      const length = 0.4 + strength * 0.6;
+      this.needle.setAttribute('transform', `rotate(${direction}) scale(${length} 1)`);
+    }
+    this.element.setAttribute('aria-valuenow', Math.round(direction));
+  }
+}
+
+// Export for use in other modules
+window.WindCompass = WindCompass;
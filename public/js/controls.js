@@ -8,11 +8,15 @@ class Controls {
     this.waveEngine = waveEngine;
     this.renderer = renderer;
     this.isUpdating = false;
+    this.isScrubbing = false;
+    this.placingFloaters = false;
+    this.soundscape = new Soundscape(waveEngine);
 
     this.setupEventListeners();
     this.loadFromStorage();
     this.loadFromURL();
     this.updateUI();
+    this.loadCharacterSetEditor(this.waveEngine.currentCharacterSet);
   }
 
   /**
@@ -34,6 +38,8 @@ class Controls {
 
     this.addSliderListener('layers', (value) => {
       this.waveEngine.updateConfig({ layers: parseInt(value) });
+      this.updateLayerControls();
+      this.updateFloaterControls();
     });
 
     this.addSliderListener('choppiness', (value) => {
@@ -52,88 +58,1291 @@ class Controls {
       this.waveEngine.updateConfig({ timeSpeed: parseFloat(value) });
     });
 
+    this.addCheckboxListener('foamFlicker', (checked) => {
+      this.waveEngine.updateConfig({ foamFlicker: checked });
+    });
+
     // Visual appearance controls
     this.addSliderListener('cellSize', (value) => {
       this.renderer.updateConfig({ cellSize: parseInt(value) });
     });
 
-    this.addSliderListener('hue', (value) => {
-      this.renderer.updateConfig({ hue: parseFloat(value) });
-    });
+    this.addSliderListener('hue', (value) => {
+      this.renderer.updateConfig({ hue: parseFloat(value) });
+    });
+
+    this.addSliderListener('saturation', (value) => {
+      this.renderer.updateConfig({ saturation: parseFloat(value) });
+    });
+
+    this.addSliderListener('brightness', (value) => {
+      this.renderer.updateConfig({ brightness: parseFloat(value) });
+    });
+
+    this.addSliderListener('contrast', (value) => {
+      this.renderer.updateConfig({ contrast: parseFloat(value) });
+    });
+
+    this.addSliderListener('vignetteIntensity', (value) => {
+      this.renderer.updateConfig({ vignetteIntensity: parseFloat(value) });
+    });
+
+    this.addSliderListener('vignetteRadius', (value) => {
+      this.renderer.updateConfig({ vignetteRadius: parseFloat(value) });
+    });
+
+    // Gradient-map colors
+    this.setupGradientControls();
+
+    // Font characters are drawn in
+    const fontInput = document.getElementById('fontFamily');
+    if (fontInput) {
+      fontInput.addEventListener('change', (e) => {
+        this.renderer.updateConfig({ fontFamily: e.target.value.trim() || 'monospace' });
+        this.saveToStorage();
+      });
+    }
+
+    // Character set selector
+    const charSetSelect = document.getElementById('characterSet');
+    if (charSetSelect) {
+      charSetSelect.addEventListener('change', (e) => {
+        this.waveEngine.setCharacterSet(e.target.value);
+        this.loadCharacterSetEditor(e.target.value);
+        this.saveToStorage();
+      });
+    }
+
+    // Custom character set editor
+    this.setupCharacterSetEditor();
+
+    // Seed regeneration
+    const seedBtn = document.getElementById('regenerateSeed');
+    if (seedBtn) {
+      seedBtn.addEventListener('click', () => {
+        const newSeed = Utils.randomInt(0, 999999);
+        this.waveEngine.updateConfig({ noiseSeed: newSeed });
+        this.updateUI();
+        this.saveToStorage();
+      });
+    }
+
+    // Wave spectrum editor
+    this.setupSpectrumControls();
+
+    // Wind
+    this.setupWindControls();
+
+    // Shoreline
+    this.setupShoreControls();
+
+    // Sky
+    this.setupSkyControls();
+
+    // Weather
+    ['rain', 'snow', 'fog', 'lightning'].forEach(key => {
+      const id = 'weather' + key.charAt(0).toUpperCase() + key.slice(1);
+      this.addSliderListener(id, (value) => {
+        this.renderer.weather.updateConfig({ [key]: parseFloat(value) });
+      });
+    });
+
+    // Pointer ripples
+    this.addSliderListener('rippleStrength', (value) => {
+      this.waveEngine.updateConfig({ rippleStrength: parseFloat(value) });
+    });
+
+    this.addSliderListener('rippleDamping', (value) => {
+      this.waveEngine.updateConfig({ rippleDamping: parseFloat(value) });
+    });
+
+    this.addSliderListener('rippleSpeed', (value) => {
+      this.waveEngine.updateConfig({ rippleSpeed: parseFloat(value) });
+    });
+
+    const clearRipplesBtn = document.getElementById('clearRipples');
+    if (clearRipplesBtn) {
+      clearRipplesBtn.addEventListener('click', () => this.waveEngine.ripples.clear());
+    }
+
+    // Floating objects
+    this.setupFloaterControls();
+
+    // Day/night cycle
+    this.setupDayCycleControls();
+
+    // Generated ocean sound
+    this.addCheckboxListener('soundMuted', (checked) => {
+      this.soundscape.updateConfig({ muted: checked });
+    });
+
+    this.addSliderListener('soundVolume', (value) => {
+      this.soundscape.updateConfig({ volume: parseFloat(value) });
+    });
+
+    this.renderer.addFrameListener((deltaTime) => this.soundscape.update(deltaTime));
+
+    // Adaptive quality
+    this.addCheckboxListener('adaptiveQuality', (checked) => {
+      this.renderer.quality.updateConfig({ adaptive: checked });
+      this.renderer.applyQuality();
+    });
+
+    const targetFpsSelect = document.getElementById('targetFps');
+    if (targetFpsSelect) {
+      targetFpsSelect.addEventListener('change', (e) => {
+        this.renderer.quality.updateConfig({ targetFps: parseInt(e.target.value) });
+      });
+    }
+
+    // Audio reactive mode
+    this.setupAudioControls();
+
+    // Per-layer settings
+    this.setupLayerControls();
+
+    // Playback controls
+    this.setupPlaybackControls();
+
+    // Keyframe timeline
+    this.setupTimelineControls();
+
+    // Preset buttons
+    document.querySelectorAll('[data-preset]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const presetKey = e.target.dataset.preset;
+        this.applyPreset(presetKey);
+      });
+    });
+
+    // Collapsible sections
+    document.querySelectorAll('.section-header').forEach(header => {
+      header.addEventListener('click', () => {
+        const section = header.parentElement;
+        section.classList.toggle('collapsed');
+      });
+    });
+
+    // Mobile panel toggle
+    const toggleBtn = document.getElementById('togglePanel');
+    const controlPanel = document.getElementById('controlPanel');
+    if (toggleBtn && controlPanel) {
+      toggleBtn.addEventListener('click', () => {
+        controlPanel.classList.toggle('expanded');
+      });
+    }
+
+    // Save changes to localStorage when any control changes
+    document.querySelectorAll('input[type="range"], input[type="checkbox"], input[type="color"], select').forEach(input => {
+      input.addEventListener('change', () => {
+        if (!this.isUpdating) {
+          this.saveToStorage();
+        }
+      });
+    });
+  }
+
+  /**
+   * Setup wave spectrum editor
+   */
+  setupSpectrumControls() {
+    const waveModeSelect = document.getElementById('waveMode');
+    if (waveModeSelect) {
+      waveModeSelect.addEventListener('change', (e) => {
+        this.waveEngine.updateConfig({ waveMode: e.target.value });
+      });
+    }
+
+    this.addSliderListener('steepness', (value) => {
+      this.waveEngine.updateConfig({ steepness: parseFloat(value) });
+    });
+
+    const addComponentBtn = document.getElementById('addComponent');
+    if (addComponentBtn) {
+      addComponentBtn.addEventListener('click', () => {
+        const spectrum = [
+          ...this.waveEngine.config.spectrum,
+          { amplitude: 0.3, wavelength: 0.5, direction: 0, speed: 1.0, phase: 0 }
+        ];
+        this.setSpectrum(spectrum);
+      });
+    }
+
+    const resetSpectrumBtn = document.getElementById('resetSpectrum');
+    if (resetSpectrumBtn) {
+      resetSpectrumBtn.addEventListener('click', () => {
+        this.setSpectrum(WaveEngine.DEFAULT_SPECTRUM.map(component => ({ ...component })));
+      });
+    }
+  }
+
+  /**
+   * Setup wind sliders and the on-canvas compass
+   */
+  setupWindControls() {
+    this.addSliderListener('windDirection', (value) => {
+      this.waveEngine.updateConfig({ windDirection: parseFloat(value) });
+      this.updateCompass();
+    });
+
+    this.addSliderListener('windStrength', (value) => {
+      this.waveEngine.updateConfig({ windStrength: parseFloat(value) });
+      this.updateCompass();
+    });
+
+    const compassElement = document.getElementById('windCompass');
+    if (compassElement) {
+      this.compass = new WindCompass(compassElement, (direction) => {
+        this.waveEngine.updateConfig({ windDirection: direction });
+        this.updateSlider('windDirection', direction);
+        this.saveToStorage();
+      });
+    }
+  }
+
+  /**
+   * Setup shoreline terrain controls
+   */
+  setupShoreControls() {
+    ['shoreMode', 'shoreSide'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.addEventListener('change', (e) => {
+          this.waveEngine.updateConfig({ [id]: e.target.value });
+          this.updateTerrainStatus();
+        });
+      }
+    });
+
+    this.addSliderListener('beachWidth', (value) => {
+      this.waveEngine.updateConfig({ beachWidth: parseFloat(value) });
+    });
+
+    this.addSliderListener('shoreRoughness', (value) => {
+      this.waveEngine.updateConfig({ shoreRoughness: parseFloat(value) });
+    });
+
+    const loadImageBtn = document.getElementById('loadTerrainImage');
+    const imageInput = document.getElementById('terrainImageInput');
+    if (loadImageBtn && imageInput) {
+      loadImageBtn.addEventListener('click', () => imageInput.click());
+      imageInput.addEventListener('change', (e) => {
+        this.loadTerrainImage(e.target.files[0]);
+        e.target.value = '';
+      });
+    }
+  }
+
+  /**
+   * Setup sky and horizon controls
+   */
+  setupSkyControls() {
+    const sky = this.waveEngine.sky;
+
+    ['skyHorizon', 'skyBodyX', 'skyBodyY', 'skyStars', 'skyClouds', 'skyCloudSpeed'].forEach(id => {
+      const key = id.charAt(3).toLowerCase() + id.slice(4);
+      this.addSliderListener(id, (value) => {
+        sky.updateConfig({ [key]: parseFloat(value) });
+      });
+    });
+
+    const bodySelect = document.getElementById('skyBody');
+    if (bodySelect) {
+      bodySelect.addEventListener('change', (e) => {
+        sky.updateConfig({ body: e.target.value });
+      });
+    }
+
+    ['skyTopColor', 'skyBottomColor', 'skyCloudColor'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        const key = id.charAt(3).toLowerCase() + id.slice(4);
+        input.addEventListener('input', (e) => {
+          sky.updateConfig({ [key]: e.target.value });
+        });
+      }
+    });
+  }
+
+  /**
+   * Setup floating object controls
+   */
+  setupFloaterControls() {
+    this.addCheckboxListener('floaterPlace', (checked) => {
+      this.placingFloaters = checked;
+    });
+
+    this.addSliderListener('floaterDrift', (value) => {
+      this.waveEngine.floaters.updateConfig({ drift: parseFloat(value) });
+    });
+
+    this.addSliderDisplay('floaterLayer');
+
+    const removeBtn = document.getElementById('removeFloater');
+    if (removeBtn) {
+      removeBtn.addEventListener('click', () => {
+        this.waveEngine.floaters.removeLast();
+        this.updateFloaterControls();
+        this.saveToStorage();
+      });
+    }
+
+    const clearBtn = document.getElementById('clearFloaters');
+    if (clearBtn) {
+      clearBtn.addEventListener('click', () => {
+        this.waveEngine.floaters.clear();
+        this.updateFloaterControls();
+        this.saveToStorage();
+      });
+    }
+  }
+
+  /**
+   * Place the chosen floating object
+   * @param {number} x - X coordinate (0-1 normalized)
+   * @param {number} y - Y coordinate of the waterline (0-1 normalized)
+   */
+  placeFloater(x, y) {
+    const spriteSelect = document.getElementById('floaterSprite');
+    const layerSlider = document.getElementById('floaterLayer');
+    if (!spriteSelect || !spriteSelect.value) return;
+
+    this.waveEngine.placeFloater(spriteSelect.value, x, y, layerSlider ? parseInt(layerSlider.value) : 0);
+    this.updateFloaterControls();
+    this.saveToStorage();
+  }
+
+  /**
+   * Update the sprite list, depth range and object count
+   */
+  updateFloaterControls() {
+    const floaters = this.waveEngine.floaters;
+
+    // Custom sprites from a loaded configuration join the built-in ones
+    const spriteSelect = document.getElementById('floaterSprite');
+    const names = floaters.getSpriteNames();
+    if (spriteSelect && Array.from(spriteSelect.options).map(option => option.value).join() !== names.join()) {
+      const selected = spriteSelect.value;
+      spriteSelect.innerHTML = '';
+      names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name.charAt(0).toUpperCase() + name.slice(1);
+        spriteSelect.appendChild(option);
+      });
+      if (names.includes(selected)) {
+        spriteSelect.value = selected;
+      }
+    }
+
+    const layerSlider = document.getElementById('floaterLayer');
+    if (layerSlider) {
+      const maxLayer = this.waveEngine.config.layers - 1;
+      layerSlider.max = maxLayer;
+      this.updateSlider('floaterLayer', Math.min(parseInt(layerSlider.value), maxLayer));
+    }
+
+    this.updateSlider('floaterDrift', floaters.config.drift);
+
+    const count = document.getElementById('floaterCount');
+    if (count) {
+      count.textContent = floaters.config.objects.length;
+    }
+  }
+
+  /**
+   * Setup the day/night cycle controls
+   */
+  setupDayCycleControls() {
+    const dayCycle = this.renderer.dayCycle;
+
+    this.addCheckboxListener('dayCycleEnabled', (checked) => {
+      dayCycle.updateConfig({ enabled: checked });
+      this.updateDayCyclePhase();
+    });
+
+    const modeSelect = document.getElementById('dayCycleMode');
+    if (modeSelect) {
+      modeSelect.addEventListener('change', (e) => {
+        dayCycle.updateConfig({ mode: e.target.value });
+      });
+    }
+
+    this.addSliderListener('dayCycleMinutes', (value) => {
+      dayCycle.updateConfig({ cycleMinutes: parseFloat(value) });
+    });
+
+    // Each phase of the day points at a preset theme
+    document.querySelectorAll('.day-cycle-phase').forEach(select => {
+      Presets.getList().forEach(preset => {
+        const option = document.createElement('option');
+        option.value = preset.key;
+        option.textContent = preset.name;
+        select.appendChild(option);
+      });
+      select.addEventListener('change', (e) => {
+        dayCycle.updateConfig({ phases: { [select.dataset.phase]: e.target.value } });
+      });
+    });
+
+    // Show the cycling values on their sliders
+    this.renderer.addFrameListener(() => {
+      if (!dayCycle.config.enabled || this.isUpdating) return;
+
+      DayCycle.PARAMS.forEach(param => {
+        this.updateSlider(param, Utils.formatNumber(this.renderer.config[param], 2));
+      });
+      this.updateDayCyclePhase();
+    });
+  }
+
+  /**
+   * Show the current phase of the day cycle and its time of day
+   */
+  updateDayCyclePhase() {
+    const label = document.getElementById('dayCyclePhase');
+    if (!label) return;
+
+    const dayCycle = this.renderer.dayCycle;
+    let text = 'Off';
+    if (dayCycle.config.enabled) {
+      const timeOfDay = dayCycle.getTimeOfDay();
+      const { from, to, progress } = dayCycle.getPhase(timeOfDay);
+      const minutes = Math.floor(timeOfDay * 24 * 60);
+      const clock = `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, '0')}`;
+      const capitalize = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+      const phase = progress > 0 ? `${capitalize(from)} → ${capitalize(to)}` : capitalize(from);
+      text = `${phase} (${clock})`;
+    }
+
+    if (label.textContent !== text) {
+      label.textContent = text;
+    }
+  }
+
+  /**
+   * Setup audio reactive controls
+   */
+  setupAudioControls() {
+    const audio = this.renderer.audio;
+
+    Object.keys(AudioReactive.MAPPINGS).forEach(band => {
+      const id = 'audio' + band.charAt(0).toUpperCase() + band.slice(1);
+      this.addSliderListener(id + 'Sensitivity', (value) => {
+        audio.updateConfig({ mappings: { [band]: { sensitivity: parseFloat(value) } } });
+      });
+      this.addSliderListener(id + 'Smoothing', (value) => {
+        audio.updateConfig({ mappings: { [band]: { smoothing: parseFloat(value) } } });
+      });
+    });
+
+    const micBtn = document.getElementById('audioMicrophone');
+    if (micBtn) {
+      micBtn.addEventListener('click', () => this.startAudio(() => audio.startMicrophone(), 'Microphone'));
+    }
+
+    const fileBtn = document.getElementById('audioFile');
+    const fileInput = document.getElementById('audioFileInput');
+    if (fileBtn && fileInput) {
+      fileBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+          this.startAudio(() => audio.startFile(file), file.name);
+        }
+        e.target.value = '';
+      });
+    }
+
+    const stopBtn = document.getElementById('audioStop');
+    if (stopBtn) {
+      stopBtn.addEventListener('click', () => {
+        audio.stop();
+        this.setAudioStatus('Nothing');
+        this.updateAudioLevels();
+      });
+    }
+
+    // Show band levels while listening
+    this.renderer.addFrameListener(() => {
+      if (audio.active) {
+        this.updateAudioLevels();
+      }
+    });
+  }
+
+  /**
+   * Start an audio source, reporting failures such as a denied microphone
+   * @param {Function} start - Starts the source, returns a promise
+   * @param {string} label - Name of the source to show
+   */
+  async startAudio(start, label) {
+    this.setAudioStatus('Starting…');
+    try {
+      await start();
+      this.setAudioStatus(label);
+    } catch (e) {
+      console.error('Failed to start audio:', e);
+      this.renderer.audio.stop();
+      this.setAudioStatus(`${label} unavailable`);
+    }
+  }
+
+  /**
+   * Show what the audio reactive mode is listening to
+   * @param {string} text - Source name or state
+   */
+  setAudioStatus(text) {
+    const status = document.getElementById('audioStatus');
+    if (status) {
+      status.textContent = text;
+    }
+  }
+
+  /**
+   * Update the band level meters
+   */
+  updateAudioLevels() {
+    Object.entries(this.renderer.audio.levels).forEach(([band, level]) => {
+      const meter = document.getElementById('audio' + band.charAt(0).toUpperCase() + band.slice(1) + 'Level');
+      if (meter) {
+        meter.value = level;
+      }
+    });
+  }
+
+  /**
+   * Load a grayscale image as the shoreline mask
+   * @param {File} file - Image file
+   */
+  async loadTerrainImage(file) {
+    if (!file) return;
+
+    try {
+      const image = await createImageBitmap(file);
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width;
+      canvas.height = image.height;
+      const ctx = canvas.getContext('2d');
+      ctx.drawImage(image, 0, 0);
+
+      this.waveEngine.setTerrainImage(ctx.getImageData(0, 0, image.width, image.height));
+      Utils.storage.set('asciiWavesTerrainMask', this.waveEngine.terrainImage.toBase64());
+      this.updateUI();
+      this.saveToStorage();
+    } catch (e) {
+      console.error('Failed to load terrain image:', e);
+    }
+  }
+
+  /**
+   * Say when Image Mask is chosen without a mask to draw, e.g. from a shared
+   * link, since the engine shows open water instead
+   */
+  updateTerrainStatus() {
+    const status = document.getElementById('terrainImageStatus');
+    if (!status) return;
+
+    const missing = this.waveEngine.config.shoreMode === 'image' && !this.waveEngine.terrainImage.isReady();
+    status.textContent = missing ? 'No mask image loaded, so this is open water until you load one.' : '';
+    status.hidden = !missing;
+  }
+
+  /**
+   * Point the compass at the current wind
+   */
+  updateCompass() {
+    if (this.compass) {
+      const { windDirection, windStrength } = this.waveEngine.config;
+      this.compass.update(windDirection, windStrength);
+    }
+  }
+
+  /**
+   * Replace the wave spectrum and refresh the editor
+   * @param {Array<Object>} spectrum - Spectrum components
+   */
+  setSpectrum(spectrum) {
+    this.waveEngine.updateConfig({ spectrum });
+    this.updateSpectrumList();
+    this.saveToStorage();
+  }
+
+  /**
+   * Rebuild the spectrum component editor
+   */
+  updateSpectrumList() {
+    const list = document.getElementById('spectrumComponents');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const fields = [
+      { key: 'amplitude', label: 'Amp', step: 0.05 },
+      { key: 'wavelength', label: 'Length', step: 0.05, min: 0.01 },
+      { key: 'direction', label: 'Dir°', step: 15 },
+      { key: 'speed', label: 'Speed', step: 0.1 },
+      { key: 'phase', label: 'Phase', step: 0.1 }
+    ];
+
+    const header = document.createElement('div');
+    header.className = 'spectrum-row spectrum-header';
+    fields.forEach(field => {
+      const cell = document.createElement('span');
+      cell.textContent = field.label;
+      header.appendChild(cell);
+    });
+    header.appendChild(document.createElement('span'));
+    list.appendChild(header);
+
+    this.waveEngine.config.spectrum.forEach((component, index) => {
+      const row = document.createElement('div');
+      row.className = 'spectrum-row';
+
+      fields.forEach(field => {
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = field.step;
+        if (field.min !== undefined) input.min = field.min;
+        input.value = Utils.formatNumber(component[field.key], 2);
+        input.setAttribute('aria-label', `Component ${index + 1} ${field.key}`);
+
+        input.addEventListener('input', () => {
+          const value = parseFloat(input.value);
+          if (isNaN(value)) return;
+          // The list isn't rebuilt while typing, so copy the live spectrum
+          const updated = this.waveEngine.config.spectrum.map(c => ({ ...c }));
+          updated[index][field.key] = value;
+          this.waveEngine.updateConfig({ spectrum: updated });
+        });
+        input.addEventListener('change', () => this.saveToStorage());
+
+        row.appendChild(input);
+      });
+
+      const remove = document.createElement('button');
+      remove.className = 'keyframe-remove';
+      remove.title = 'Remove component';
+      remove.textContent = '×';
+      remove.addEventListener('click', () => {
+        this.setSpectrum(this.waveEngine.config.spectrum.filter((_, i) => i !== index));
+      });
+      row.appendChild(remove);
+
+      list.appendChild(row);
+    });
+  }
+
+  /**
+   * Setup the color mode, gradient editor and foam and background colors
+   */
+  setupGradientControls() {
+    const modeSelect = document.getElementById('colorMode');
+    if (modeSelect) {
+      modeSelect.addEventListener('change', (e) => {
+        this.renderer.updateConfig({ colorMode: e.target.value });
+      });
+    }
+
+    ['foamColor', 'backgroundColor'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.addEventListener('input', (e) => {
+          this.renderer.updateConfig({ [id]: e.target.value });
+          this.updateGradientPreview();
+        });
+      }
+    });
+
+    // New stops go in the middle of the widest gap, in the color already there
+    const addBtn = document.getElementById('addGradientStop');
+    if (addBtn) {
+      addBtn.addEventListener('click', () => {
+        const stops = [...this.renderer.config.gradient].sort((a, b) => a.position - b.position);
+        let position = 0.5;
+        let widest = 0;
+        for (let i = 1; i < stops.length; i++) {
+          const gap = stops[i].position - stops[i - 1].position;
+          if (gap > widest) {
+            widest = gap;
+            position = stops[i - 1].position + gap / 2;
+          }
+        }
+
+        const color = Utils.rgbToHex(...Palette.sampleGradient(stops, position));
+        this.setGradient([...stops, { position: Math.round(position * 100) / 100, color }]);
+      });
+    }
+  }
+
+  /**
+   * Replace the gradient and refresh its editor
+   * @param {Array<Object>} gradient - Stops with position (0-1) and hex color
+   */
+  setGradient(gradient) {
+    this.renderer.updateConfig({ gradient: [...gradient].sort((a, b) => a.position - b.position) });
+    this.updateGradientEditor();
+    this.saveToStorage();
+  }
+
+  /**
+   * Rebuild the gradient stop editor
+   */
+  updateGradientEditor() {
+    const list = document.getElementById('gradientStops');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const gradient = this.renderer.config.gradient;
+
+    gradient.forEach((stop, index) => {
+      const row = document.createElement('div');
+      row.className = 'gradient-stop';
+
+      const colorInput = document.createElement('input');
+      colorInput.type = 'color';
+      colorInput.value = stop.color;
+      colorInput.setAttribute('aria-label', `Stop ${index + 1} color`);
+      colorInput.addEventListener('input', () => this.updateGradientStop(index, { color: colorInput.value }));
+      colorInput.addEventListener('change', () => this.saveToStorage());
+
+      const positionInput = document.createElement('input');
+      positionInput.type = 'number';
+      positionInput.min = 0;
+      positionInput.max = 1;
+      positionInput.step = 0.05;
+      positionInput.value = Utils.formatNumber(stop.position, 2);
+      positionInput.setAttribute('aria-label', `Stop ${index + 1} position`);
+      positionInput.addEventListener('input', () => {
+        const value = parseFloat(positionInput.value);
+        if (isNaN(value)) return;
+        this.updateGradientStop(index, { position: Utils.clamp(value, 0, 1) });
+      });
+      positionInput.addEventListener('change', () => this.saveToStorage());
+
+      const remove = document.createElement('button');
+      remove.className = 'keyframe-remove';
+      remove.title = 'Remove stop';
+      remove.textContent = '×';
+      remove.disabled = gradient.length <= 2;
+      remove.addEventListener('click', () => {
+        this.setGradient(this.renderer.config.gradient.filter((_, i) => i !== index));
+      });
+
+      row.appendChild(colorInput);
+      row.appendChild(positionInput);
+      row.appendChild(remove);
+      list.appendChild(row);
+    });
+
+    this.updateGradientPreview();
+  }
+
+  /**
+   * Change one gradient stop while it is being edited
+   * @param {number} index - Stop index
+   * @param {Object} changes - New position and/or color
+   */
+  updateGradientStop(index, changes) {
+    const gradient = this.renderer.config.gradient.map(stop => ({ ...stop }));
+    Object.assign(gradient[index], changes);
+    this.renderer.updateConfig({ gradient });
+    this.updateGradientPreview();
+  }
+
+  /**
+   * Show the gradient as a bar from trough to crest, with foam at the end
+   */
+  updateGradientPreview() {
+    const preview = document.getElementById('gradientPreview');
+    if (!preview) return;
+
+    const { gradient, foamColor, backgroundColor } = this.renderer.config;
+    const stops = [...gradient]
+      .sort((a, b) => a.position - b.position)
+      .map(stop => `${stop.color} ${Math.round(stop.position * 90)}%`);
+    preview.style.background = `linear-gradient(to right, ${stops.join(', ')}, ${foamColor} 90%)`;
+    preview.style.borderColor = backgroundColor;
+  }
+
+  /**
+   * Setup the custom character set editor
+   */
+  setupCharacterSetEditor() {
+    document.querySelectorAll('.charset-band').forEach(input => {
+      input.addEventListener('input', () => this.updateCharacterSetPreview());
+    });
+
+    const loadBtn = document.getElementById('loadCharSet');
+    if (loadBtn) {
+      loadBtn.addEventListener('click', () => {
+        this.loadCharacterSetEditor(this.waveEngine.currentCharacterSet);
+      });
+    }
+
+    const saveBtn = document.getElementById('saveCharSet');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => {
+        const nameInput = document.getElementById('charSetName');
+        const name = nameInput ? nameInput.value.trim() : '';
+        const errors = this.waveEngine.addCharacterSet(name, this.getEditedCharacterSet());
+        if (errors.length > 0) {
+          this.showCharacterSetErrors(errors);
+          return;
+        }
+
+        this.waveEngine.setCharacterSet(name);
+        this.updateCharacterSetOptions();
+        document.getElementById('characterSet').value = name;
+        this.saveToStorage();
+      });
+    }
+
+    const deleteBtn = document.getElementById('deleteCharSet');
+    if (deleteBtn) {
+      deleteBtn.addEventListener('click', () => {
+        const nameInput = document.getElementById('charSetName');
+        const name = nameInput ? nameInput.value.trim() : '';
+        if (!(name in this.waveEngine.customCharacterSets)) {
+          this.showCharacterSetErrors([`"${name}" is not a custom character set`]);
+          return;
+        }
+
+        this.waveEngine.removeCharacterSet(name);
+        this.updateCharacterSetOptions();
+        this.updateLayerControls();
+        document.getElementById('characterSet').value = this.waveEngine.currentCharacterSet;
+        this.loadCharacterSetEditor(this.waveEngine.currentCharacterSet);
+        this.saveToStorage();
+      });
+    }
+
+    // Ramp builder
+    const poolInput = document.getElementById('rampPool');
+    if (poolInput) {
+      poolInput.value = GlyphRamp.DEFAULT_POOL;
+    }
+
+    this.addSliderDisplay('rampPerBand');
+
+    const buildBtn = document.getElementById('buildRamp');
+    if (buildBtn) {
+      buildBtn.addEventListener('click', () => this.buildCharacterRamp());
+    }
+  }
+
+  /**
+   * Measure the glyph pool in the current font and load the resulting ramp
+   * into the editor, ready to preview and save
+   */
+  buildCharacterRamp() {
+    const poolInput = document.getElementById('rampPool');
+    const perBandSlider = document.getElementById('rampPerBand');
+    const status = document.getElementById('rampStatus');
+    const cellSize = this.renderer.config.cellSize;
+    const font = this.renderer.getFont();
 
-    this.addSliderListener('saturation', (value) => {
-      this.renderer.updateConfig({ saturation: parseFloat(value) });
+    const canvas = document.createElement('canvas');
+    canvas.width = cellSize;
+    canvas.height = cellSize;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.font = font;
+
+    const pool = poolInput && poolInput.value ? poolInput.value : GlyphRamp.DEFAULT_POOL;
+    const measurements = GlyphRamp.measure(ctx, pool, cellSize);
+    const bands = GlyphRamp.build(measurements, perBandSlider ? parseInt(perBandSlider.value) : 4);
+    if (!bands) {
+      this.showCharacterSetErrors(['None of the glyphs fit in one cell']);
+      return;
+    }
+
+    document.querySelectorAll('.charset-band').forEach(input => {
+      input.value = (bands[input.dataset.band] || []).join('');
     });
+    const nameInput = document.getElementById('charSetName');
+    if (nameInput && !nameInput.value) {
+      nameInput.value = `${this.renderer.config.fontFamily.split(',')[0].replace(/['"]/g, '').trim()}-ramp`;
+    }
+    this.updateCharacterSetPreview();
 
-    this.addSliderListener('brightness', (value) => {
-      this.renderer.updateConfig({ brightness: parseFloat(value) });
+    // Browsers measure a fallback font without saying so
+    if (status) {
+      const missing = document.fonts && !document.fonts.check(font);
+      status.textContent = missing
+        ? `"${this.renderer.config.fontFamily}" isn't available, so a fallback font was measured.`
+        : `Measured ${measurements.length} glyphs in ${font}.`;
+    }
+  }
+
+  /**
+   * Fill the editor with an existing character set
+   * Built-in sets load without a name, so saving makes a copy.
+   * @param {string} setName - Character set name
+   */
+  loadCharacterSetEditor(setName) {
+    const charSet = this.waveEngine.characterSets[setName];
+    if (!charSet) return;
+
+    const nameInput = document.getElementById('charSetName');
+    if (nameInput) {
+      nameInput.value = setName in this.waveEngine.customCharacterSets ? setName : '';
+    }
+
+    document.querySelectorAll('.charset-band').forEach(input => {
+      input.value = (charSet[input.dataset.band] || []).join('');
     });
+    this.updateCharacterSetPreview();
+  }
 
-    this.addSliderListener('contrast', (value) => {
-      this.renderer.updateConfig({ contrast: parseFloat(value) });
+  /**
+   * Read the character set being edited
+   * Each character typed is one entry; blank beach bands are left out.
+   * @returns {Object} Arrays of characters by band
+   */
+  getEditedCharacterSet() {
+    const bands = {};
+    document.querySelectorAll('.charset-band').forEach(input => {
+      const band = input.dataset.band;
+      if (input.value === '' && !WaveEngine.REQUIRED_BANDS.includes(band)) return;
+      bands[band] = Array.from(input.value);
     });
+    return bands;
+  }
 
-    this.addSliderListener('vignetteIntensity', (value) => {
-      this.renderer.updateConfig({ vignetteIntensity: parseFloat(value) });
+  /**
+   * List problems with the edited character set
+   * @param {Array<string>} errors - Problems, or an empty array to clear the list
+   */
+  showCharacterSetErrors(errors) {
+    const list = document.getElementById('charSetErrors');
+    if (list) {
+      list.textContent = errors.join('\n');
+    }
+  }
+
+  /**
+   * Check the edited character set and draw a small sample of the waves with it
+   */
+  updateCharacterSetPreview() {
+    const preview = document.getElementById('charSetPreview');
+    const bands = this.getEditedCharacterSet();
+    const errors = WaveEngine.validateCharacterSet(bands);
+    this.showCharacterSetErrors(errors);
+    if (!preview || errors.length > 0) return;
+
+    // Sample the current scene with the edited set, away from the live engine and
+    // with no per-layer sets in the way
+    const engine = new WaveEngine(this.waveEngine.getConfig());
+    engine.setAllLayerSettings(this.waveEngine.getAllLayerSettings().map(settings => ({ ...settings, characterSet: null })));
+    engine.sky.reset(this.waveEngine.sky.getConfig());
+    engine.terrainImage = this.waveEngine.terrainImage;
+    engine.setCharacterSet('preview', bands);
+
+    preview.textContent = FrameFormat.toText(engine.sampleGrid(40, 10, this.waveEngine.time));
+  }
+
+  /**
+   * List custom character sets alongside the built-in ones
+   */
+  updateCharacterSetOptions() {
+    const names = Object.keys(this.waveEngine.customCharacterSets);
+
+    ['characterSet', 'layerCharacterSet'].forEach(id => {
+      const select = document.getElementById(id);
+      if (!select) return;
+
+      const selected = select.value;
+      select.querySelectorAll('option[data-custom]').forEach(option => option.remove());
+      names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        option.dataset.custom = 'true';
+        select.appendChild(option);
+      });
+      select.value = selected;
     });
+  }
 
-    this.addSliderListener('vignetteRadius', (value) => {
-      this.renderer.updateConfig({ vignetteRadius: parseFloat(value) });
+  /**
+   * Setup per-layer settings controls
+   */
+  setupLayerControls() {
+    const layerSelect = document.getElementById('layerSelect');
+    if (layerSelect) {
+      layerSelect.addEventListener('change', () => this.updateLayerControls());
+    }
+
+    const layerSliders = {
+      layerAmplitude: 'amplitude',
+      layerFrequency: 'frequency',
+      layerSpeed: 'speed',
+      layerChoppiness: 'choppiness',
+      layerHue: 'hue',
+      layerOpacity: 'opacity'
+    };
+    Object.entries(layerSliders).forEach(([id, key]) => {
+      this.addSliderListener(id, (value) => {
+        this.waveEngine.setLayerSettings(this.getSelectedLayer(), { [key]: parseFloat(value) });
+        this.updateLayerOverrides();
+      });
     });
 
-    // Character set selector
-    const charSetSelect = document.getElementById('characterSet');
-    if (charSetSelect) {
-      charSetSelect.addEventListener('change', (e) => {
-        this.waveEngine.setCharacterSet(e.target.value);
-        this.saveToStorage();
+    const layerCharSetSelect = document.getElementById('layerCharacterSet');
+    if (layerCharSetSelect) {
+      layerCharSetSelect.addEventListener('change', (e) => {
+        this.waveEngine.setLayerSettings(this.getSelectedLayer(), { characterSet: e.target.value || null });
+        this.updateLayerOverrides();
       });
     }
 
-    // Seed regeneration
-    const seedBtn = document.getElementById('regenerateSeed');
-    if (seedBtn) {
-      seedBtn.addEventListener('click', () => {
-        const newSeed = Utils.randomInt(0, 999999);
-        this.waveEngine.updateConfig({ noiseSeed: newSeed });
-        this.updateUI();
+    const resetLayerBtn = document.getElementById('resetLayer');
+    if (resetLayerBtn) {
+      resetLayerBtn.addEventListener('click', () => {
+        this.waveEngine.clearLayerSettings(this.getSelectedLayer());
+        this.updateLayerControls();
         this.saveToStorage();
       });
     }
+  }
 
-    // Preset buttons
-    document.querySelectorAll('[data-preset]').forEach(btn => {
-      btn.addEventListener('click', (e) => {
-        const presetKey = e.target.dataset.preset;
-        this.applyPreset(presetKey);
+  /**
+   * Get the layer chosen in the layer selector
+   * @returns {number} Layer index (0 = front)
+   */
+  getSelectedLayer() {
+    const layerSelect = document.getElementById('layerSelect');
+    return layerSelect ? parseInt(layerSelect.value) || 0 : 0;
+  }
+
+  /**
+   * Update the layer selector and per-layer controls for the selected layer
+   */
+  updateLayerControls() {
+    const layerSelect = document.getElementById('layerSelect');
+    const layerCount = this.waveEngine.config.layers;
+
+    // Rebuild options when the number of layers changes
+    if (layerSelect && layerSelect.options.length !== layerCount) {
+      const selected = Math.min(this.getSelectedLayer(), layerCount - 1);
+      layerSelect.innerHTML = '';
+      for (let layer = 0; layer < layerCount; layer++) {
+        const option = document.createElement('option');
+        option.value = layer;
+        option.textContent = `Layer ${layer + 1}`;
+        if (layer === 0) option.textContent += ' (front)';
+        else if (layer === layerCount - 1) option.textContent += ' (back)';
+        layerSelect.appendChild(option);
+      }
+      layerSelect.value = selected;
+    }
+
+    const layer = this.getSelectedLayer();
+    const settings = this.waveEngine.getLayerSettings(layer);
+
+    this.updateSlider('layerAmplitude', this.waveEngine.getLayerValue(layer, 'amplitude'));
+    this.updateSlider('layerFrequency', this.waveEngine.getLayerValue(layer, 'frequency'));
+    this.updateSlider('layerSpeed', this.waveEngine.getLayerValue(layer, 'speed'));
+    this.updateSlider('layerChoppiness', this.waveEngine.getLayerValue(layer, 'choppiness'));
+    this.updateSlider('layerHue', settings.hue !== undefined ? settings.hue : this.renderer.config.hue);
+    this.updateSlider('layerOpacity', settings.opacity !== undefined ? settings.opacity : 1);
+
+    const layerCharSetSelect = document.getElementById('layerCharacterSet');
+    if (layerCharSetSelect) {
+      layerCharSetSelect.value = settings.characterSet || '';
+    }
+
+    this.updateLayerOverrides();
+  }
+
+  /**
+   * Show which settings the selected layer overrides
+   */
+  updateLayerOverrides() {
+    const display = document.getElementById('layerOverrides');
+    if (!display) return;
+
+    const keys = Object.keys(this.waveEngine.getLayerSettings(this.getSelectedLayer()));
+    display.textContent = keys.length ? `Overrides: ${keys.join(', ')}` : 'Using global settings';
+  }
+
+  /**
+   * Setup pause, frame step and time scrubber controls
+   */
+  setupPlaybackControls() {
+    const playPauseBtn = document.getElementById('playPause');
+    if (playPauseBtn) {
+      playPauseBtn.addEventListener('click', () => this.togglePause());
+    }
+
+    const stepBackBtn = document.getElementById('stepBack');
+    if (stepBackBtn) {
+      stepBackBtn.addEventListener('click', () => this.stepFrame(-1));
+    }
+
+    const stepForwardBtn = document.getElementById('stepForward');
+    if (stepForwardBtn) {
+      stepForwardBtn.addEventListener('click', () => this.stepFrame(1));
+    }
+
+    const scrubber = document.getElementById('time');
+    if (scrubber) {
+      scrubber.addEventListener('pointerdown', () => { this.isScrubbing = true; });
+      scrubber.addEventListener('pointerup', () => { this.isScrubbing = false; });
+      scrubber.addEventListener('input', (e) => {
+        this.waveEngine.setTime(parseFloat(e.target.value));
+        this.updatePlayback();
       });
+    }
+
+    // Keep the scrubber in sync with the animation
+    this.renderer.addFrameListener(() => {
+      if (!this.waveEngine.paused && !this.isScrubbing) {
+        this.updatePlayback();
+      }
     });
+  }
 
-    // Collapsible sections
-    document.querySelectorAll('.section-header').forEach(header => {
-      header.addEventListener('click', () => {
-        const section = header.parentElement;
-        section.classList.toggle('collapsed');
-      });
+  /**
+   * Toggle pause/resume
+   */
+  togglePause() {
+    this.waveEngine.togglePause();
+    this.updatePlayback();
+  }
+
+  /**
+   * Step a single frame forward or back
+   * @param {number} frames - Number of frames (negative steps back)
+   */
+  stepFrame(frames) {
+    this.waveEngine.pause();
+    this.waveEngine.step(frames);
+    this.updatePlayback();
+  }
+
+  /**
+   * Update the play/pause button and time scrubber
+   */
+  updatePlayback() {
+    const time = this.waveEngine.time;
+
+    const playPauseBtn = document.getElementById('playPause');
+    if (playPauseBtn) {
+      playPauseBtn.textContent = this.waveEngine.paused ? 'Play' : 'Pause';
+    }
+
+    const scrubber = document.getElementById('time');
+    if (scrubber) {
+      // Grow the scrubber range in one-minute steps as time passes
+      scrubber.max = Math.max(60, Math.ceil(time / 60) * 60);
+      scrubber.value = time;
+    }
+
+    const display = document.getElementById('timeValue');
+    if (display) {
+      display.textContent = Utils.formatNumber(time, 2);
+    }
+  }
+
+  /**
+   * Setup keyframe timeline editor
+   */
+  setupTimelineControls() {
+    this.addCheckboxListener('timelineEnabled', (checked) => {
+      this.renderer.timeline.enabled = checked;
     });
 
-    // Mobile panel toggle
-    const toggleBtn = document.getElementById('togglePanel');
-    const controlPanel = document.getElementById('controlPanel');
-    if (toggleBtn && controlPanel) {
-      toggleBtn.addEventListener('click', () => {
-        controlPanel.classList.toggle('expanded');
+    const addKeyframeBtn = document.getElementById('addKeyframe');
+    if (addKeyframeBtn) {
+      addKeyframeBtn.addEventListener('click', () => this.addKeyframe());
+    }
+
+    const clearTimelineBtn = document.getElementById('clearTimeline');
+    if (clearTimelineBtn) {
+      clearTimelineBtn.addEventListener('click', () => {
+        this.renderer.timeline.clear();
+        this.updateTimelineList();
+        this.saveToStorage();
       });
     }
 
-    // Save changes to localStorage when any control changes
-    document.querySelectorAll('input[type="range"], select').forEach(input => {
-      input.addEventListener('change', () => {
-        if (!this.isUpdating) {
-          this.saveToStorage();
+    // Show animated values on their sliders while the timeline plays
+    this.renderer.addFrameListener(() => {
+      const timeline = this.renderer.timeline;
+      if (!timeline.enabled || timeline.isEmpty() || this.isUpdating) return;
+
+      const waveConfig = this.waveEngine.config;
+      const renderConfig = this.renderer.config;
+      Object.keys(timeline.tracks).forEach(param => {
+        const value = param in renderConfig ? renderConfig[param] : waveConfig[param];
+        if (typeof value === 'number') {
+          this.updateSlider(param, Utils.formatNumber(value, 2));
         }
       });
+
+      if (timeline.tracks.windDirection || timeline.tracks.windStrength) {
+        this.updateCompass();
+      }
+    });
+  }
+
+  /**
+   * Add a keyframe for the selected parameter at the current time and value
+   */
+  addKeyframe() {
+    const param = document.getElementById('timelineParam').value;
+    const easing = document.getElementById('timelineEasing').value;
+    const slider = document.getElementById(param);
+    if (!slider) return;
+
+    this.renderer.timeline.addKeyframe(param, this.waveEngine.time, parseFloat(slider.value), easing);
+    this.updateTimelineList();
+    this.saveToStorage();
+  }
+
+  /**
+   * Rebuild the keyframe list
+   */
+  updateTimelineList() {
+    const list = document.getElementById('timelineKeyframes');
+    if (!list) return;
+
+    list.innerHTML = '';
+    const timeline = this.renderer.timeline;
+
+    Object.entries(timeline.tracks).forEach(([param, track]) => {
+      track.forEach((keyframe, index) => {
+        const item = document.createElement('div');
+        item.className = 'keyframe-item';
+
+        const label = document.createElement('button');
+        label.className = 'keyframe-label';
+        label.title = 'Seek to this keyframe';
+        label.textContent = `${param} @ ${Utils.formatNumber(keyframe.time, 2)}s = ${Utils.formatNumber(keyframe.value, 2)} (${keyframe.easing})`;
+        label.addEventListener('click', () => {
+          this.waveEngine.setTime(keyframe.time);
+          this.updatePlayback();
+        });
+
+        const remove = document.createElement('button');
+        remove.className = 'keyframe-remove';
+        remove.title = 'Remove keyframe';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+          timeline.removeKeyframe(param, index);
+          this.updateTimelineList();
+          this.saveToStorage();
+        });
+
+        item.appendChild(label);
+        item.appendChild(remove);
+        list.appendChild(item);
+      });
     });
+
+    if (timeline.isEmpty()) {
+      list.textContent = 'No keyframes';
+    }
   }
 
   /**
@@ -143,15 +1352,41 @@ class Controls {
    */
   addSliderListener(id, callback) {
     const slider = document.getElementById(id);
-    const display = document.getElementById(id + 'Value');
 
     if (slider) {
+      slider.addEventListener('input', (e) => callback(e.target.value));
+      this.addSliderDisplay(id);
+    }
+  }
+
+  /**
+   * Show a slider's value in its label as it moves
+   * On its own, for sliders that are only read when something else happens,
+   * e.g. the GIF duration when recording starts.
+   * @param {string} id - Element ID; the value shows in the element with ID + 'Value'
+   */
+  addSliderDisplay(id) {
+    const slider = document.getElementById(id);
+    const display = document.getElementById(id + 'Value');
+
+    if (slider && display) {
       slider.addEventListener('input', (e) => {
-        const value = e.target.value;
-        callback(value);
-        if (display) {
-          display.textContent = value;
-        }
+        display.textContent = e.target.value;
+      });
+    }
+  }
+
+  /**
+   * Add checkbox listener
+   * @param {string} id - Element ID
+   * @param {Function} callback - Callback function, receives checked state
+   */
+  addCheckboxListener(id, callback) {
+    const checkbox = document.getElementById(id);
+
+    if (checkbox) {
+      checkbox.addEventListener('change', (e) => {
+        callback(e.target.checked);
       });
     }
   }
@@ -174,6 +1409,97 @@ class Controls {
     this.updateSlider('foamThreshold', waveConfig.foamThreshold);
     this.updateSlider('depthEffect', waveConfig.depthEffect);
     this.updateSlider('timeSpeed', waveConfig.timeSpeed);
+    this.updateCheckbox('foamFlicker', waveConfig.foamFlicker);
+
+    // Update wave spectrum
+    const waveModeSelect = document.getElementById('waveMode');
+    if (waveModeSelect) {
+      waveModeSelect.value = waveConfig.waveMode;
+    }
+    this.updateSlider('steepness', waveConfig.steepness);
+    this.updateSpectrumList();
+
+    // Update wind controls
+    this.updateSlider('windDirection', waveConfig.windDirection);
+    this.updateSlider('windStrength', waveConfig.windStrength);
+    this.updateCompass();
+
+    // Update shoreline controls
+    ['shoreMode', 'shoreSide'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) {
+        select.value = waveConfig[id];
+      }
+    });
+    this.updateSlider('beachWidth', waveConfig.beachWidth);
+    this.updateSlider('shoreRoughness', waveConfig.shoreRoughness);
+    this.updateTerrainStatus();
+
+    // Update sky controls
+    const skyConfig = this.waveEngine.sky.getConfig();
+    this.updateSlider('skyHorizon', skyConfig.horizon);
+    this.updateSlider('skyBodyX', skyConfig.bodyX);
+    this.updateSlider('skyBodyY', skyConfig.bodyY);
+    this.updateSlider('skyStars', skyConfig.stars);
+    this.updateSlider('skyClouds', skyConfig.clouds);
+    this.updateSlider('skyCloudSpeed', skyConfig.cloudSpeed);
+    const skyBodySelect = document.getElementById('skyBody');
+    if (skyBodySelect) {
+      skyBodySelect.value = skyConfig.body;
+    }
+    [['skyTopColor', 'topColor'], ['skyBottomColor', 'bottomColor'], ['skyCloudColor', 'cloudColor']].forEach(([id, key]) => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = skyConfig[key];
+      }
+    });
+
+    // Update weather controls
+    const weatherConfig = this.renderer.weather.getConfig();
+    this.updateSlider('weatherRain', weatherConfig.rain);
+    this.updateSlider('weatherSnow', weatherConfig.snow);
+    this.updateSlider('weatherFog', weatherConfig.fog);
+    this.updateSlider('weatherLightning', weatherConfig.lightning);
+
+    // Update floating object controls
+    this.updateFloaterControls();
+
+    // Update day/night cycle controls
+    const dayCycleConfig = this.renderer.dayCycle.getConfig();
+    this.updateCheckbox('dayCycleEnabled', dayCycleConfig.enabled);
+    const dayCycleModeSelect = document.getElementById('dayCycleMode');
+    if (dayCycleModeSelect) {
+      dayCycleModeSelect.value = dayCycleConfig.mode;
+    }
+    this.updateSlider('dayCycleMinutes', dayCycleConfig.cycleMinutes);
+    document.querySelectorAll('.day-cycle-phase').forEach(select => {
+      select.value = dayCycleConfig.phases[select.dataset.phase];
+    });
+    this.updateDayCyclePhase();
+
+    // Update sound controls
+    this.updateCheckbox('soundMuted', this.soundscape.config.muted);
+    this.updateSlider('soundVolume', this.soundscape.config.volume);
+
+    // Update quality controls
+    const qualityConfig = this.renderer.quality.getConfig();
+    this.updateCheckbox('adaptiveQuality', qualityConfig.adaptive);
+    const targetFpsSelect = document.getElementById('targetFps');
+    if (targetFpsSelect) {
+      targetFpsSelect.value = qualityConfig.targetFps;
+    }
+
+    // Update audio mappings
+    Object.entries(this.renderer.audio.config.mappings).forEach(([band, settings]) => {
+      const id = 'audio' + band.charAt(0).toUpperCase() + band.slice(1);
+      this.updateSlider(id + 'Sensitivity', settings.sensitivity);
+      this.updateSlider(id + 'Smoothing', settings.smoothing);
+    });
+
+    // Update ripple controls
+    this.updateSlider('rippleStrength', waveConfig.rippleStrength);
+    this.updateSlider('rippleDamping', waveConfig.rippleDamping);
+    this.updateSlider('rippleSpeed', waveConfig.rippleSpeed);
 
     // Update visual controls
     this.updateSlider('cellSize', renderConfig.cellSize);
@@ -184,12 +1510,40 @@ class Controls {
     this.updateSlider('vignetteIntensity', renderConfig.vignetteIntensity);
     this.updateSlider('vignetteRadius', renderConfig.vignetteRadius);
 
-    // Update character set
+    const fontInput = document.getElementById('fontFamily');
+    if (fontInput) {
+      fontInput.value = renderConfig.fontFamily;
+    }
+
+    // Update gradient colors
+    const modeSelect = document.getElementById('colorMode');
+    if (modeSelect) {
+      modeSelect.value = renderConfig.colorMode;
+    }
+    ['foamColor', 'backgroundColor'].forEach(id => {
+      const input = document.getElementById(id);
+      if (input) {
+        input.value = renderConfig[id];
+      }
+    });
+    this.updateGradientEditor();
+
+    // Update character set, including custom sets from a loaded configuration
+    this.updateCharacterSetOptions();
     const charSetSelect = document.getElementById('characterSet');
     if (charSetSelect) {
       charSetSelect.value = this.waveEngine.currentCharacterSet;
     }
 
+    this.updatePlayback();
+
+    // Update per-layer settings
+    this.updateLayerControls();
+
+    // Update timeline
+    this.updateCheckbox('timelineEnabled', this.renderer.timeline.enabled);
+    this.updateTimelineList();
+
     this.isUpdating = false;
   }
 
@@ -210,6 +1564,18 @@ class Controls {
     }
   }
 
+  /**
+   * Update a checkbox
+   * @param {string} id - Element ID
+   * @param {boolean} checked - New checked state
+   */
+  updateCheckbox(id, checked) {
+    const checkbox = document.getElementById(id);
+    if (checkbox) {
+      checkbox.checked = Boolean(checked);
+    }
+  }
+
   /**
    * Apply a preset
    * @param {string} presetKey - Preset key
@@ -226,29 +1592,26 @@ class Controls {
    * Save current configuration to localStorage
    */
   saveToStorage() {
-    const config = {
-      wave: this.waveEngine.getConfig(),
-      visual: this.renderer.getConfig(),
-      characterSet: this.waveEngine.currentCharacterSet
-    };
-    Utils.storage.set('asciiWavesConfig', config);
+    Utils.storage.set('asciiWavesConfig', this.getConfig({ local: true }));
   }
 
   /**
    * Load configuration from localStorage
    */
   loadFromStorage() {
+    // The mask is kept apart from the config, which is shared without it
+    const mask = Utils.storage.get('asciiWavesTerrainMask');
+    if (mask) {
+      try {
+        this.waveEngine.terrainImage.loadBase64(mask);
+      } catch (e) {
+        console.error('Failed to load terrain mask:', e);
+      }
+    }
+
     const config = Utils.storage.get('asciiWavesConfig');
     if (config) {
-      if (config.wave) {
-        this.waveEngine.updateConfig(config.wave);
-      }
-      if (config.visual) {
-        this.renderer.updateConfig(config.visual);
-      }
-      if (config.characterSet) {
-        this.waveEngine.setCharacterSet(config.characterSet);
-      }
+      this.applyConfig(config);
     }
   }
 
@@ -260,31 +1623,98 @@ class Controls {
     if (!hash) return;
 
     try {
-      const config = JSON.parse(atob(hash));
-      if (config.wave) {
-        this.waveEngine.updateConfig(config.wave);
-      }
-      if (config.visual) {
-        this.renderer.updateConfig(config.visual);
-      }
-      if (config.characterSet) {
-        this.waveEngine.setCharacterSet(config.characterSet);
-      }
+      const config = JSON.parse(Utils.decodeBase64(hash));
+      this.applyConfig(config);
     } catch (e) {
       console.error('Failed to load configuration from URL:', e);
     }
   }
 
+  /**
+   * Apply a saved or shared configuration
+   * @param {Object} config - Configuration object
+   */
+  applyConfig(config) {
+    config = Presets.migrateConfig(config);
+
+    if (config.wave) {
+      this.waveEngine.updateConfig(config.wave);
+    }
+    if (config.visual) {
+      this.renderer.updateConfig(config.visual);
+    }
+    if (config.characterSets) {
+      this.waveEngine.setCustomCharacterSets(config.characterSets).forEach(error => console.error(error));
+    }
+    if (config.characterSet) {
+      this.waveEngine.setCharacterSet(config.characterSet);
+    }
+    this.waveEngine.setAllLayerSettings(config.layers);
+    if (config.sky) {
+      this.waveEngine.sky.reset(config.sky);
+    }
+    if (config.floaters) {
+      this.waveEngine.floaters.reset(config.floaters);
+    }
+    if (config.weather) {
+      this.renderer.weather.reset(config.weather);
+    }
+    if (config.dayCycle) {
+      this.renderer.dayCycle.reset(config.dayCycle);
+    }
+    if (config.audio) {
+      this.renderer.audio.updateConfig(config.audio);
+    }
+    // Only the volume is restored: browsers won't start sound without a click
+    if (config.sound && typeof config.sound.volume === 'number') {
+      this.soundscape.updateConfig({ volume: config.sound.volume });
+    }
+    if (config.quality) {
+      this.renderer.quality.reset(config.quality);
+      this.renderer.applyQuality();
+    }
+    if (typeof config.time === 'number') {
+      this.waveEngine.setTime(config.time);
+    }
+    if (config.paused) {
+      this.waveEngine.pause();
+    }
+    if (config.timeline) {
+      this.renderer.timeline.load(config.timeline);
+    }
+  }
+
   /**
    * Get current configuration
+   * Saved settings, JSON files and share URLs are all built from this.
+   * @param {Object} options - Options
+   * @param {boolean} options.local - Also include settings that suit this
+   *   device rather than the scene (adaptive quality), for saving in this
+   *   browser only
    * @returns {Object} Current configuration
    */
-  getConfig() {
-    return {
+  getConfig({ local = false } = {}) {
+    const config = {
       wave: this.waveEngine.getConfig(),
       visual: this.renderer.getConfig(),
-      characterSet: this.waveEngine.currentCharacterSet
+      characterSet: this.waveEngine.currentCharacterSet,
+      characterSets: this.waveEngine.getCustomCharacterSets(),
+      layers: this.waveEngine.getAllLayerSettings(),
+      sky: this.waveEngine.sky.getConfig(),
+      floaters: this.waveEngine.floaters.getConfig(),
+      weather: this.renderer.weather.getConfig(),
+      dayCycle: this.renderer.dayCycle.getConfig(),
+      audio: this.renderer.audio.getConfig(),
+      sound: { volume: this.soundscape.config.volume },
+      time: this.waveEngine.time,
+      paused: this.waveEngine.paused,
+      timeline: this.renderer.timeline.toJSON(),
+      version: Presets.CONFIG_VERSION
     };
+    if (local) {
+      config.quality = this.renderer.quality.getConfig();
+    }
+    return config;
   }
 }
 
@@ -0,0 +1,157 @@
+/**
+ * Day Cycle
+ * Moves the visual theme through dawn, day, sunset and night presets over the day
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./presets.js'), require('./timeline.js'), require('./utils.js'));
+  } else {
+    root.DayCycle = factory(root.Presets, root.Timeline, root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Presets, Timeline, Utils) {
+  'use strict';
+
+  // mode is 'clock' (follow the local time of day) or 'cycle' (a day lasts
+  // cycleMinutes); phases map each phase of the day to a preset key
+  const DEFAULTS = {
+    enabled: false,
+    mode: 'clock',
+    cycleMinutes: 10,
+    phases: {
+      dawn: 'sunset',
+      day: 'ocean',
+      sunset: 'sunset',
+      night: 'night'
+    }
+  };
+
+  // When each phase is fully reached, as a fraction of the day (6:00, 9:00, 18:00, 21:00)
+  const PHASES = [
+    { name: 'dawn', at: 6 / 24 },
+    { name: 'day', at: 9 / 24 },
+    { name: 'sunset', at: 18 / 24 },
+    { name: 'night', at: 21 / 24 }
+  ];
+
+  // Length of the blend into each phase (one hour of the day)
+  const TRANSITION = 1 / 24;
+
+  // Visual settings the cycle animates
+  const PARAMS = ['hue', 'saturation', 'brightness', 'contrast', 'vignetteIntensity', 'vignetteRadius'];
+
+  class DayCycle {
+    constructor(config = {}) {
+      this.reset(config);
+    }
+
+    /**
+     * Update configuration
+     * @param {Object} newConfig - New configuration values
+     */
+    updateConfig(newConfig) {
+      const phases = { ...this.config.phases, ...newConfig.phases };
+      Object.assign(this.config, newConfig, { phases });
+    }
+
+    /**
+     * Replace the configuration, filling unspecified settings with defaults
+     * @param {Object} config - Day cycle configuration
+     */
+    reset(config = {}) {
+      this.config = {
+        ...DEFAULTS,
+        ...config,
+        phases: { ...DEFAULTS.phases, ...config.phases }
+      };
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current configuration
+     */
+    getConfig() {
+      return { ...this.config, phases: { ...this.config.phases } };
+    }
+
+    /**
+     * Get the position in the day for a moment
+     * Cycles are counted from the Unix epoch, so every display running the
+     * same cycle length shows the same phase.
+     * @param {Date} date - Moment to look up (defaults to now)
+     * @returns {number} Time of day (0 = midnight, 0.5 = noon, 1 = next midnight)
+     */
+    getTimeOfDay(date = new Date()) {
+      if (this.config.mode === 'cycle') {
+        const cycleLength = Math.max(this.config.cycleMinutes, 0.1) * 60000;
+        return (date.getTime() % cycleLength) / cycleLength;
+      }
+
+      return (date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600) / 24;
+    }
+
+    /**
+     * Find the phase of the day at a time
+     * @param {number} timeOfDay - Time of day (0-1)
+     * @returns {Object} Name of the phase being left (from), the phase being
+     *   entered (to) and the progress of the blend between them (0-1)
+     */
+    getPhase(timeOfDay) {
+      const time = ((timeOfDay % 1) + 1) % 1;
+
+      // The latest phase reached, wrapping to last night before dawn
+      let index = PHASES.length - 1;
+      for (let i = 0; i < PHASES.length; i++) {
+        if (time >= PHASES[i].at) {
+          index = i;
+        }
+      }
+
+      // Blending toward the next phase during the hour before it
+      const next = PHASES[(index + 1) % PHASES.length];
+      const untilNext = ((next.at - time) % 1 + 1) % 1;
+      const progress = Utils.clamp(1 - untilNext / TRANSITION, 0, 1);
+
+      return { from: PHASES[index].name, to: next.name, progress };
+    }
+
+    /**
+     * Calculate the visual settings at a time of day
+     * @param {number} timeOfDay - Time of day (0-1)
+     * @returns {Object} Hue, saturation, brightness, contrast and vignette
+     *   settings, or an empty object if a phase has no known preset
+     */
+    evaluate(timeOfDay) {
+      const { from, to, progress } = this.getPhase(timeOfDay);
+      const fromPreset = Presets.get(this.config.phases[from]);
+      const toPreset = Presets.get(this.config.phases[to]);
+      if (!fromPreset || !toPreset) return {};
+
+      const t = Timeline.easings.easeInOut(progress);
+      const values = {};
+
+      PARAMS.forEach(param => {
+        const a = fromPreset.visual[param];
+        const b = toPreset.visual[param];
+        if (typeof a !== 'number' || typeof b !== 'number') return;
+
+        // Hue goes the short way around the color wheel
+        if (param === 'hue') {
+          const delta = ((b - a) % 360 + 540) % 360 - 180;
+          values.hue = Math.round(((a + delta * t) % 360 + 360) % 360);
+        } else {
+          values[param] = Utils.lerp(a, b, t);
+        }
+      });
+
+      return values;
+    }
+  }
+
+  DayCycle.DEFAULTS = DEFAULTS;
+  DayCycle.PHASES = PHASES.map(phase => phase.name);
+  DayCycle.PARAMS = PARAMS;
+
+  return DayCycle;
+});
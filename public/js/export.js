@@ -7,6 +7,7 @@ class ExportManager {
   constructor(controls, renderer) {
     this.controls = controls;
     this.renderer = renderer;
+    this.gifRecording = null;
     this.setupEventListeners();
   }
 
@@ -40,6 +41,60 @@ class ExportManager {
     if (copyFrameBtn) {
       copyFrameBtn.addEventListener('click', () => this.copyFrameToClipboard());
     }
+
+    const downloadFrameBtn = document.getElementById('downloadFrame');
+    if (downloadFrameBtn) {
+      downloadFrameBtn.addEventListener('click', () => this.downloadFrame());
+    }
+
+    this.controls.addSliderDisplay('gifDuration');
+
+    const recordGifBtn = document.getElementById('recordGIF');
+    if (recordGifBtn) {
+      recordGifBtn.addEventListener('click', () => this.recordGIF());
+    }
+
+    const cancelGifBtn = document.getElementById('cancelGIF');
+    if (cancelGifBtn) {
+      cancelGifBtn.addEventListener('click', () => {
+        if (this.gifRecording) {
+          this.gifRecording.cancelled = true;
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the frame format chosen in the panel
+   * @returns {string} 'png', 'text', 'ansi' or 'html'
+   */
+  getFrameFormat() {
+    const select = document.getElementById('frameFormat');
+    return select ? select.value : 'png';
+  }
+
+  /**
+   * Format the frame on the canvas as text
+   * @param {string} format - 'text', 'ansi' or 'html'
+   * @returns {string} Formatted frame
+   */
+  formatFrame(format) {
+    // The canvas may trail the engine (wave worker) or be drawn at a lower
+    // quality, so export what was drawn rather than sampling again
+    if (!this.renderer.getDrawnFrame()) {
+      this.renderer.draw();
+    }
+    const frame = this.renderer.getDrawnFrame();
+    const background = this.renderer.getBackgroundColor();
+
+    switch (format) {
+      case 'ansi':
+        return FrameFormat.toANSI(frame, null, { background });
+      case 'html':
+        return FrameFormat.toHTML(frame, null, { background });
+      default:
+        return FrameFormat.toText(frame);
+    }
   }
 
   /**
@@ -65,15 +120,7 @@ class ExportManager {
       const text = await file.text();
       const config = JSON.parse(text);
 
-      if (config.wave) {
-        this.controls.waveEngine.updateConfig(config.wave);
-      }
-      if (config.visual) {
-        this.renderer.updateConfig(config.visual);
-      }
-      if (config.characterSet) {
-        this.controls.waveEngine.setCharacterSet(config.characterSet);
-      }
+      this.controls.applyConfig(config);
 
       this.controls.updateUI();
       this.controls.saveToStorage();
@@ -99,13 +146,116 @@ class ExportManager {
     }
   }
 
+  /**
+   * Record an animated GIF of the current theme
+   * Frames are rendered offscreen with a fixed time step, so the result
+   * doesn't depend on requestAnimationFrame timing or the live animation.
+   */
+  async recordGIF() {
+    if (this.gifRecording) return;
+
+    const duration = parseFloat(document.getElementById('gifDuration').value);
+    const fps = parseInt(document.getElementById('gifFps').value);
+    const [width, height] = document.getElementById('gifSize').value.split('x').map(Number);
+    const frameCount = Math.max(1, Math.round(duration * fps));
+
+    // Offscreen copy of the current scene, starting at the current time
+    const liveEngine = this.controls.waveEngine;
+    const waveEngine = new WaveEngine(liveEngine.getConfig());
+    waveEngine.setCustomCharacterSets(liveEngine.getCustomCharacterSets());
+    waveEngine.setCharacterSet(liveEngine.currentCharacterSet);
+    waveEngine.setAllLayerSettings(liveEngine.getAllLayerSettings());
+    waveEngine.time = liveEngine.time;
+    waveEngine.terrainImage = liveEngine.terrainImage;
+    waveEngine.sky.reset(liveEngine.sky.getConfig());
+    waveEngine.floaters.reset(liveEngine.floaters.getConfig());
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const renderer = new Renderer(canvas, waveEngine, { autoResize: false });
+    renderer.updateConfig(this.renderer.getConfig());
+    renderer.timeline = this.renderer.timeline;
+    renderer.weather.reset(this.renderer.weather.getConfig());
+
+    const recording = { cancelled: false };
+    this.gifRecording = recording;
+    this.showGIFProgress(0);
+
+    try {
+      // Reserve colors for the sky and floating objects when there are any
+      const extraColors = [];
+      if (waveEngine.sky.getHorizonRow(height) > 0) {
+        extraColors.push(...waveEngine.sky.getPaletteColors());
+      }
+      if (waveEngine.floaters.config.objects.length > 0) {
+        extraColors.push(...waveEngine.floaters.getPaletteColors(waveEngine.config.layers, waveEngine.config.depthEffect));
+      }
+
+      const encoder = new GifEncoder(width, height, {
+        palette: Palette.buildIndexedPalette(renderer.getConfig(), 256, waveEngine.config, extraColors),
+        delay: 1000 / fps
+      });
+
+      for (let i = 0; i < frameCount; i++) {
+        if (recording.cancelled) break;
+
+        renderer.draw();
+        encoder.addFrame(renderer.ctx.getImageData(0, 0, width, height).data);
+        waveEngine.update(1 / fps);
+        renderer.updateWeather(1 / fps);
+
+        this.showGIFProgress((i + 1) / frameCount);
+
+        // Yield so progress updates and the cancel button stay responsive
+        await new Promise((resolve) => setTimeout(resolve, 0));
+      }
+
+      if (recording.cancelled) {
+        this.showNotification('GIF recording cancelled', 'error');
+      } else {
+        const blob = new Blob([encoder.finish()], { type: 'image/gif' });
+        Utils.downloadBlob(blob, `ascii-waves-${Date.now()}.gif`);
+        this.showNotification('GIF saved!');
+      }
+    } catch (e) {
+      console.error('Failed to record GIF:', e);
+      this.showNotification('Failed to record GIF', 'error');
+    } finally {
+      this.gifRecording = null;
+      this.hideGIFProgress();
+    }
+  }
+
+  /**
+   * Show GIF recording progress
+   * @param {number} progress - Progress (0-1)
+   */
+  showGIFProgress(progress) {
+    const overlay = document.getElementById('gifProgress');
+    const bar = document.getElementById('gifProgressBar');
+    const label = document.getElementById('gifProgressValue');
+
+    if (overlay) overlay.classList.add('show');
+    if (bar) bar.value = progress;
+    if (label) label.textContent = `${Math.round(progress * 100)}%`;
+  }
+
+  /**
+   * Hide GIF recording progress
+   */
+  hideGIFProgress() {
+    const overlay = document.getElementById('gifProgress');
+    if (overlay) overlay.classList.remove('show');
+  }
+
   /**
    * Generate and copy shareable URL
    */
   generateShareURL() {
     try {
       const config = this.controls.getConfig();
-      const encoded = btoa(JSON.stringify(config));
+      const encoded = Utils.encodeBase64(JSON.stringify(config));
       const url = `${window.location.origin}${window.location.pathname}#${encoded}`;
 
       // Copy to clipboard
@@ -125,25 +275,75 @@ class ExportManager {
   }
 
   /**
-   * Copy current frame to clipboard as image
+   * Copy current frame to clipboard in the selected format
    */
   async copyFrameToClipboard() {
+    const format = this.getFrameFormat();
+
     try {
-      const blob = await this.renderer.exportFrame();
+      if (!navigator.clipboard) {
+        this.showNotification('Clipboard API not supported', 'error');
+        return;
+      }
 
-      if (navigator.clipboard && navigator.clipboard.write) {
+      if (format === 'png') {
+        const blob = await this.renderer.exportFrame();
         const item = new ClipboardItem({ 'image/png': blob });
         await navigator.clipboard.write([item]);
-        this.showNotification('Frame copied to clipboard!');
+      } else if (format === 'html' && navigator.clipboard.write) {
+        // Rich paste where supported, plain text everywhere else
+        const item = new ClipboardItem({
+          'text/html': new Blob([this.formatFrame('html')], { type: 'text/html' }),
+          'text/plain': new Blob([this.formatFrame('text')], { type: 'text/plain' })
+        });
+        await navigator.clipboard.write([item]);
       } else {
-        this.showNotification('Clipboard API not supported', 'error');
+        await navigator.clipboard.writeText(this.formatFrame(format));
       }
+
+      this.showNotification('Frame copied to clipboard!');
     } catch (e) {
       console.error('Failed to copy frame:', e);
       this.showNotification('Failed to copy frame', 'error');
     }
   }
 
+  /**
+   * Download current frame in the selected format
+   */
+  async downloadFrame() {
+    const format = this.getFrameFormat();
+    const timestamp = Date.now();
+
+    if (format === 'png') {
+      await this.captureScreenshot();
+      return;
+    }
+
+    try {
+      let blob;
+      let filename;
+
+      if (format === 'html') {
+        const html = `<!DOCTYPE html>\n<html>\n<head>\n<meta charset="UTF-8">\n<title>ASCII Waves</title>\n</head>\n<body style="margin: 0;">\n${this.formatFrame('html')}\n</body>\n</html>\n`;
+        blob = new Blob([html], { type: 'text/html' });
+        filename = `ascii-waves-${timestamp}.html`;
+      } else if (format === 'ansi') {
+        blob = new Blob([this.formatFrame('ansi') + '\n'], { type: 'text/plain' });
+        filename = `ascii-waves-${timestamp}.ans`;
+      } else {
+        blob = new Blob([this.formatFrame('text') + '\n'], { type: 'text/plain' });
+        filename = `ascii-waves-${timestamp}.txt`;
+      }
+
+      Utils.downloadBlob(blob, filename);
+      this.showNotification('Frame saved!');
+    } catch (e) {
+      console.error('Failed to save frame:', e);
+      this.showNotification('Failed to save frame', 'error');
+    }
+  }
+
   /**
    * Fallback copy method using textarea
    * @param {string} text - Text to copy
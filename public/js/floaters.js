@@ -0,0 +1,283 @@
+/**
+ * Floaters
+ * Boats, buoys and driftwood that bob, tilt and drift on the wave surface
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./utils.js'));
+  } else {
+    root.Floaters = factory(root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Utils) {
+  'use strict';
+
+  // Objects are stored by where they were at time 0 under the current they
+  // last drifted with; `sprites` holds custom sprites by name, which take
+  // precedence over the built-in library
+  const DEFAULTS = {
+    objects: [],
+    sprites: {},
+    drift: 0.5
+  };
+
+  // Surface type for object cells, numbered after the sky types
+  const SURFACE = {
+    OBJECT: 8
+  };
+
+  // Built-in sprites; spaces are transparent and the bottom row sits on the water
+  const SPRITES = {
+    boat: [
+      '    _|_    ',
+      ' __|___|__ ',
+      ' \\_______/ '
+    ],
+    sailboat: [
+      '    |\\    ',
+      '    | \\   ',
+      '    |__\\  ',
+      ' ___|____ ',
+      ' \\______/ '
+    ],
+    buoy: [
+      '  *  ',
+      ' /#\\ ',
+      '[###]'
+    ],
+    driftwood: [
+      '-=#=##==-'
+    ],
+    duck: [
+      '  __   ',
+      '<(o )__',
+      ' (___/ '
+    ]
+  };
+
+  // Rows an object rises or sinks at a full crest or trough
+  const BOB_ROWS = 1;
+
+  // Most rows one end of an object is raised above the other
+  const MAX_TILT = 2;
+
+  // Objects wrap around this far past the screen edges, so they leave fully
+  const WRAP_MARGIN = 0.15;
+
+  const OBJECT_COLOR = [228, 212, 184];
+
+  class Floaters {
+    constructor(config = {}) {
+      this.reset(config);
+    }
+
+    /**
+     * Update configuration
+     * @param {Object} newConfig - New configuration values
+     */
+    updateConfig(newConfig) {
+      Object.assign(this.config, newConfig);
+    }
+
+    /**
+     * Replace the configuration, filling unspecified settings with defaults
+     * @param {Object} config - Floater configuration (omit for no objects)
+     */
+    reset(config = {}) {
+      this.config = {
+        ...DEFAULTS,
+        ...config,
+        objects: (config.objects || []).map(object => ({ ...object })),
+        sprites: { ...config.sprites }
+      };
+
+      // Current the object positions are relative to; the first one seen
+      // is taken as the one they were saved with
+      this.current = null;
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current configuration
+     */
+    getConfig() {
+      return {
+        ...this.config,
+        objects: this.config.objects.map(object => ({ ...object })),
+        sprites: { ...this.config.sprites }
+      };
+    }
+
+    /**
+     * Get the names of every sprite that can be placed
+     * @returns {Array<string>} Built-in sprite names followed by custom ones
+     */
+    getSpriteNames() {
+      const custom = Object.keys(this.config.sprites).filter(name => !(name in SPRITES) && this.getSprite(name));
+      return [...Object.keys(SPRITES), ...custom];
+    }
+
+    /**
+     * Look up a sprite by name
+     * Custom sprites are arrays of strings, one per row.
+     * @param {string} name - Sprite name
+     * @returns {Array<string>|null} Sprite rows, or null if unknown or invalid
+     */
+    getSprite(name) {
+      const custom = this.config.sprites[name];
+      if (Array.isArray(custom) && custom.length > 0 && custom.every(row => typeof row === 'string')) {
+        return custom;
+      }
+      return SPRITES[name] || null;
+    }
+
+    /**
+     * Place an object so that it is at a position at the given time
+     * @param {string} sprite - Sprite name
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @param {number} y - Y coordinate of the waterline (0-1 normalized)
+     * @param {number} layer - Layer the object floats on (0 = front)
+     * @param {number} time - Animation time
+     * @param {Object} current - Drift per unit of time from WaveEngine.getCurrent
+     */
+    add(sprite, x, y, layer, time, current) {
+      this.anchor(current, time);
+      this.config.objects.push({
+        sprite,
+        x: x - current.x * time,
+        y: y - current.y * time,
+        layer
+      });
+    }
+
+    /**
+     * Keep every object where it is on screen when the current changes
+     * Without this, a new current would move each object by the change in
+     * current times the whole time elapsed, all in one frame.
+     * @param {Object} current - Drift per unit of time from WaveEngine.getCurrent
+     * @param {number} time - Animation time
+     */
+    anchor(current, time) {
+      const previous = this.current;
+      this.current = { x: current.x, y: current.y };
+      if (!previous || (previous.x === current.x && previous.y === current.y)) return;
+
+      this.config.objects.forEach(object => {
+        object.x += (previous.x - current.x) * time;
+        object.y += (previous.y - current.y) * time;
+      });
+    }
+
+    /**
+     * Remove the most recently placed object
+     */
+    removeLast() {
+      this.config.objects.pop();
+    }
+
+    /**
+     * Remove every object
+     */
+    clear() {
+      this.config.objects = [];
+    }
+
+    /**
+     * Lay out every object as grid cells
+     * Each object bobs with the wave height under its centre and tilts with
+     * the difference in height between its ends. Where objects overlap, the
+     * nearer layer wins. Objects are re-anchored first if the current
+     * changed since the last layout.
+     * @param {Object} options - Layout options
+     * @param {number} options.width - Grid width in cells
+     * @param {number} options.height - Grid height in cells
+     * @param {number} options.time - Animation time
+     * @param {Object} options.current - Drift per unit of time from WaveEngine.getCurrent
+     * @param {number} options.top - Highest waterline position (0-1), e.g. the horizon
+     * @param {number} options.layers - Number of wave layers
+     * @param {Function} options.waveHeight - (x, y, layer) => wave height relative to amplitude
+     * @returns {Map<number, Object>} Cells by grid index, each with char and layer
+     */
+    layout({ width, height, time, current, top = 0, layers = 1, waveHeight }) {
+      this.anchor(current, time);
+
+      const cells = new Map();
+      const wrap = (value, min, max) => {
+        const range = max - min;
+        return ((value - min) % range + range) % range + min;
+      };
+
+      this.config.objects.forEach(object => {
+        const sprite = this.getSprite(object.sprite);
+        if (!sprite) return;
+
+        const layer = Utils.clamp(Math.round(object.layer) || 0, 0, layers - 1);
+        const x = wrap(object.x + current.x * time, -WRAP_MARGIN, 1 + WRAP_MARGIN);
+        const y = wrap(object.y + current.y * time, top, 1 + WRAP_MARGIN);
+
+        // Bob with the wave under the centre, tilt with the wave under each end
+        const spriteWidth = Math.max(...sprite.map(row => row.length));
+        const halfWidth = spriteWidth / 2 / width;
+        const rise = waveHeight(x, y, layer) * BOB_ROWS;
+        const slope = (waveHeight(x + halfWidth, y, layer) - waveHeight(x - halfWidth, y, layer)) * BOB_ROWS;
+
+        const left = Math.round(x * width - spriteWidth / 2);
+        const bottom = Math.round(y * height - rise);
+
+        sprite.forEach((row, rowIndex) => {
+          for (let column = 0; column < row.length; column++) {
+            const char = row[column];
+            if (char === ' ') continue;
+
+            // The end on the higher water is raised, whole rows at a time
+            const along = spriteWidth > 1 ? column / (spriteWidth - 1) - 0.5 : 0;
+            const tilt = Math.round(Utils.clamp(slope * along, -MAX_TILT, MAX_TILT));
+            const cellX = left + column;
+            const cellY = bottom - (sprite.length - 1 - rowIndex) - tilt;
+            if (cellX < 0 || cellX >= width || cellY < 0 || cellY >= height) continue;
+
+            const index = cellY * width + cellX;
+            const existing = cells.get(index);
+            if (!existing || layer <= existing.layer) {
+              cells.set(index, { char, layer });
+            }
+          }
+        });
+      });
+
+      return cells;
+    }
+
+    /**
+     * Calculate color for an object cell
+     * @param {number} layerDepth - Layer depth (0-1, 0 = front)
+     * @param {number} depthEffect - Wave engine depth effect, which darkens back layers
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    calculateColor(layerDepth, depthEffect) {
+      const shade = 1 - layerDepth * depthEffect * 0.5;
+      return OBJECT_COLOR.map(channel => Math.round(channel * shade));
+    }
+
+    /**
+     * Colors objects draw with, for indexed palettes such as GIF
+     * @param {number} layers - Number of wave layers
+     * @param {number} depthEffect - Wave engine depth effect
+     * @returns {Array<Array>} Array of [r, g, b] colors, one per layer
+     */
+    getPaletteColors(layers, depthEffect) {
+      const colors = [];
+      for (let layer = 0; layer < layers; layer++) {
+        colors.push(this.calculateColor(layer / Math.max(layers, 1), depthEffect));
+      }
+      return colors;
+    }
+  }
+
+  Floaters.DEFAULTS = DEFAULTS;
+  Floaters.SURFACE = SURFACE;
+  Floaters.SPRITES = SPRITES;
+
+  return Floaters;
+});
@@ -0,0 +1,158 @@
+/**
+ * Frame Format
+ * Converts sampled frames into text-based output formats
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FrameFormat = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const ESC = '\x1b[';
+
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' };
+
+  /**
+   * Get a cell's color, from the frame's own colors if it has them
+   * @param {Object} frame - Frame being formatted
+   * @param {Function} getColor - (waveValue, layer, surface) => [r, g, b]
+   * @param {Uint8Array} surfaces - Surface type of each cell
+   * @param {number} index - Cell index
+   * @returns {Array} [r, g, b] where each value is 0-255
+   */
+  function cellColor(frame, getColor, surfaces, index) {
+    if (frame.colors) {
+      return Array.from(frame.colors.subarray(index * 3, index * 3 + 3));
+    }
+    return getColor(frame.values[index], frame.layers[index], surfaces[index]);
+  }
+
+  /**
+   * Escape a character for HTML output
+   * @param {string} char - Character
+   * @returns {string} Escaped character
+   */
+  function escapeHTML(char) {
+    return HTML_ESCAPES[char] || char;
+  }
+
+  const FrameFormat = {
+    /**
+     * Format a frame as plain UTF-8 text
+     * @param {Object} frame - Frame from WaveEngine.sampleGrid
+     * @param {string} newline - Line separator
+     * @returns {string} Text with one line per grid row
+     */
+    toText(frame, newline = '\n') {
+      const lines = [];
+
+      for (let y = 0; y < frame.height; y++) {
+        const row = frame.chars.subarray(y * frame.width, (y + 1) * frame.width);
+        lines.push(String.fromCodePoint(...row));
+      }
+
+      return lines.join(newline);
+    },
+
+    /**
+     * Format a frame as 24-bit ANSI coloured text
+     * @param {Object} frame - Frame from WaveEngine.sampleGrid, or one with
+     *   its own colors (r, g, b per cell) like Renderer.getDrawnFrame
+     * @param {Function} getColor - (waveValue, layer, surface) => [r, g, b];
+     *   not called for frames with their own colors
+     * @param {Object} options - Output options
+     * @param {Array} options.background - Background [r, g, b], or null for none
+     * @param {string} options.newline - Line separator
+     * @returns {string} ANSI escaped text, ending with a reset sequence
+     */
+    toANSI(frame, getColor, options = {}) {
+      const { background = null, newline = '\n' } = options;
+      const surfaces = frame.surfaces || new Uint8Array(frame.width * frame.height);
+      const bgCode = background ? `${ESC}48;2;${background[0]};${background[1]};${background[2]}m` : '';
+      const lines = [];
+
+      for (let y = 0; y < frame.height; y++) {
+        let line = bgCode;
+        let lastColor = '';
+
+        for (let x = 0; x < frame.width; x++) {
+          const index = y * frame.width + x;
+          const layer = frame.layers[index];
+
+          if (layer >= 0) {
+            const [r, g, b] = cellColor(frame, getColor, surfaces, index);
+            const color = `${r};${g};${b}`;
+            if (color !== lastColor) {
+              line += `${ESC}38;2;${color}m`;
+              lastColor = color;
+            }
+          }
+
+          line += String.fromCodePoint(frame.chars[index]);
+        }
+
+        lines.push(line + `${ESC}0m`);
+      }
+
+      return lines.join(newline);
+    },
+
+    /**
+     * Format a frame as an HTML <pre> block with coloured spans
+     * @param {Object} frame - Frame from WaveEngine.sampleGrid, or one with
+     *   its own colors (r, g, b per cell) like Renderer.getDrawnFrame
+     * @param {Function} getColor - (waveValue, layer, surface) => [r, g, b];
+     *   not called for frames with their own colors
+     * @param {Object} options - Output options
+     * @param {Array} options.background - Background [r, g, b], or null for none
+     * @returns {string} HTML markup
+     */
+    toHTML(frame, getColor, options = {}) {
+      const { background = null } = options;
+      const surfaces = frame.surfaces || new Uint8Array(frame.width * frame.height);
+      const style = background
+        ? ` style="background: rgb(${background.join(', ')}); margin: 0; line-height: 1;"`
+        : ' style="margin: 0; line-height: 1;"';
+      let html = `<pre${style}>`;
+
+      for (let y = 0; y < frame.height; y++) {
+        let run = '';
+        let runColor = null;
+
+        const flush = () => {
+          if (!run) return;
+          html += runColor ? `<span style="color: rgb(${runColor})">${run}</span>` : run;
+          run = '';
+        };
+
+        for (let x = 0; x < frame.width; x++) {
+          const index = y * frame.width + x;
+          const layer = frame.layers[index];
+          const color = layer >= 0 ? cellColor(frame, getColor, surfaces, index).join(', ') : null;
+
+          // Blank cells join the current run so spaces don't split spans
+          if (color !== null && color !== runColor) {
+            flush();
+            runColor = color;
+          }
+
+          run += escapeHTML(String.fromCodePoint(frame.chars[index]));
+        }
+
+        flush();
+        if (y < frame.height - 1) {
+          html += '\n';
+        }
+      }
+
+      return html + '</pre>';
+    }
+  };
+
+  return FrameFormat;
+});
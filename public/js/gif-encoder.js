@@ -0,0 +1,286 @@
+/**
+ * GIF Encoder
+ * Minimal animated GIF89a encoder with a fixed global palette and LZW compression
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.GifEncoder = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  /**
+   * Growable byte buffer
+   */
+  class ByteWriter {
+    constructor(initialSize = 65536) {
+      this.bytes = new Uint8Array(initialSize);
+      this.length = 0;
+    }
+
+    ensure(extra) {
+      if (this.length + extra <= this.bytes.length) return;
+      let size = this.bytes.length * 2;
+      while (size < this.length + extra) size *= 2;
+      const bytes = new Uint8Array(size);
+      bytes.set(this.bytes.subarray(0, this.length));
+      this.bytes = bytes;
+    }
+
+    byte(value) {
+      this.ensure(1);
+      this.bytes[this.length++] = value;
+    }
+
+    short(value) {
+      this.byte(value & 0xff);
+      this.byte((value >> 8) & 0xff);
+    }
+
+    string(value) {
+      for (let i = 0; i < value.length; i++) {
+        this.byte(value.charCodeAt(i));
+      }
+    }
+
+    toUint8Array() {
+      return this.bytes.slice(0, this.length);
+    }
+  }
+
+  class GifEncoder {
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {Object} options - Encoder options
+     * @param {Array} options.palette - Up to 256 [r, g, b] colors
+     * @param {number} options.delay - Frame delay in milliseconds
+     * @param {number} options.loop - Loop count (0 = forever)
+     */
+    constructor(width, height, options = {}) {
+      const { palette, delay = 100, loop = 0 } = options;
+
+      if (!palette || palette.length === 0 || palette.length > 256) {
+        throw new Error('GIF palette must contain between 1 and 256 colors');
+      }
+
+      this.width = width;
+      this.height = height;
+      this.palette = palette;
+      // GIF delays are in hundredths of a second
+      this.delay = Math.max(1, Math.round(delay / 10));
+      this.colorCache = new Map();
+
+      // Global color table size must be a power of two (2 to 256 entries)
+      this.tableBits = Math.max(1, Math.ceil(Math.log2(palette.length)));
+
+      this.out = new ByteWriter();
+      this.writeHeader(loop);
+    }
+
+    /**
+     * Write header, logical screen descriptor, palette and loop extension
+     * @param {number} loop - Loop count
+     */
+    writeHeader(loop) {
+      const out = this.out;
+      out.string('GIF89a');
+      out.short(this.width);
+      out.short(this.height);
+      // Global color table present, 8-bit color resolution, table size
+      out.byte(0x80 | 0x70 | (this.tableBits - 1));
+      out.byte(0); // Background color index
+      out.byte(0); // Pixel aspect ratio
+
+      const tableSize = 1 << this.tableBits;
+      for (let i = 0; i < tableSize; i++) {
+        const color = this.palette[i] || [0, 0, 0];
+        out.byte(color[0]);
+        out.byte(color[1]);
+        out.byte(color[2]);
+      }
+
+      // NETSCAPE2.0 application extension for looping
+      out.byte(0x21);
+      out.byte(0xff);
+      out.byte(11);
+      out.string('NETSCAPE2.0');
+      out.byte(3);
+      out.byte(1);
+      out.short(loop);
+      out.byte(0);
+    }
+
+    /**
+     * Map RGBA pixels to palette indices (nearest color)
+     * @param {Uint8ClampedArray} rgba - RGBA pixel data, e.g. ImageData.data
+     * @returns {Uint8Array} Palette index per pixel
+     */
+    indexPixels(rgba) {
+      const pixelCount = rgba.length / 4;
+      const indices = new Uint8Array(pixelCount);
+
+      for (let i = 0; i < pixelCount; i++) {
+        const r = rgba[i * 4];
+        const g = rgba[i * 4 + 1];
+        const b = rgba[i * 4 + 2];
+        const key = (r << 16) | (g << 8) | b;
+
+        let index = this.colorCache.get(key);
+        if (index === undefined) {
+          index = this.findNearest(r, g, b);
+          this.colorCache.set(key, index);
+        }
+        indices[i] = index;
+      }
+
+      return indices;
+    }
+
+    /**
+     * Find the nearest palette entry to a color
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {number} Palette index
+     */
+    findNearest(r, g, b) {
+      let best = 0;
+      let bestDistance = Infinity;
+
+      for (let i = 0; i < this.palette.length; i++) {
+        const [pr, pg, pb] = this.palette[i];
+        const distance = (r - pr) * (r - pr) + (g - pg) * (g - pg) + (b - pb) * (b - pb);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i;
+        }
+      }
+
+      return best;
+    }
+
+    /**
+     * Add a frame
+     * @param {Uint8ClampedArray|Uint8Array} pixels - RGBA pixel data, or palette indices
+     */
+    addFrame(pixels) {
+      const pixelCount = this.width * this.height;
+      const indices = pixels.length === pixelCount * 4 ? this.indexPixels(pixels) : pixels;
+      const out = this.out;
+
+      // Graphic control extension (frame delay)
+      out.byte(0x21);
+      out.byte(0xf9);
+      out.byte(4);
+      out.byte(0);
+      out.short(this.delay);
+      out.byte(0);
+      out.byte(0);
+
+      // Image descriptor
+      out.byte(0x2c);
+      out.short(0);
+      out.short(0);
+      out.short(this.width);
+      out.short(this.height);
+      out.byte(0);
+
+      this.writeImageData(indices);
+    }
+
+    /**
+     * LZW-compress palette indices into data sub-blocks
+     * @param {Uint8Array} indices - Palette index per pixel
+     */
+    writeImageData(indices) {
+      const out = this.out;
+      const minCodeSize = Math.max(2, this.tableBits);
+      const clearCode = 1 << minCodeSize;
+      const endCode = clearCode + 1;
+
+      let codeSize = minCodeSize + 1;
+      let nextCode = endCode + 1;
+      let table = new Map();
+
+      // Pack codes LSB-first into 255-byte sub-blocks
+      const block = new Uint8Array(255);
+      let blockLength = 0;
+      let bitBuffer = 0;
+      let bitCount = 0;
+
+      const flushBlock = () => {
+        if (blockLength === 0) return;
+        out.byte(blockLength);
+        out.ensure(blockLength);
+        out.bytes.set(block.subarray(0, blockLength), out.length);
+        out.length += blockLength;
+        blockLength = 0;
+      };
+
+      const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+          block[blockLength++] = bitBuffer & 0xff;
+          if (blockLength === 255) flushBlock();
+          bitBuffer >>>= 8;
+          bitCount -= 8;
+        }
+      };
+
+      out.byte(minCodeSize);
+      emit(clearCode);
+
+      let current = indices[0];
+      for (let i = 1; i < indices.length; i++) {
+        const pixel = indices[i];
+        const key = (current << 8) | pixel;
+        const code = table.get(key);
+
+        if (code !== undefined) {
+          current = code;
+          continue;
+        }
+
+        emit(current);
+
+        if (nextCode === 4096) {
+          emit(clearCode);
+          table = new Map();
+          codeSize = minCodeSize + 1;
+          nextCode = endCode + 1;
+        } else {
+          if (nextCode >= (1 << codeSize)) codeSize++;
+          table.set(key, nextCode++);
+        }
+
+        current = pixel;
+      }
+
+      emit(current);
+      emit(endCode);
+
+      if (bitCount > 0) {
+        block[blockLength++] = bitBuffer & 0xff;
+      }
+      flushBlock();
+      out.byte(0); // Block terminator
+    }
+
+    /**
+     * Finish the GIF
+     * @returns {Uint8Array} Encoded GIF bytes
+     */
+    finish() {
+      this.out.byte(0x3b);
+      return this.out.toUint8Array();
+    }
+  }
+
+  return GifEncoder;
+});
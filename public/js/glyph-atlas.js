@@ -0,0 +1,144 @@
+/**
+ * Glyph Atlas
+ * Caches rendered characters by color so frames are drawn with drawImage
+ * instead of a fillText per cell
+ */
+
+class GlyphAtlas {
+  /**
+   * @param {Object} options - Atlas options
+   * @param {number} options.colorLevels - Levels each color channel is rounded to (default 32)
+   * @param {number} options.size - Atlas canvas width and height in pixels (default 2048)
+   */
+  constructor(options = {}) {
+    this.colorLevels = options.colorLevels || 32;
+    this.size = options.size || 2048;
+
+    this.canvas = GlyphAtlas.createCanvas(this.size, this.size);
+    this.ctx = this.canvas.getContext('2d');
+
+    this.font = '';
+    this.cellSize = 0;
+    this.padding = 0;
+    this.slotSize = 0;
+    this.slotsPerRow = 0;
+    this.slots = new Map();
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Create a canvas, offscreen where supported
+   * @param {number} width - Width in pixels
+   * @param {number} height - Height in pixels
+   * @returns {HTMLCanvasElement|OffscreenCanvas} Canvas
+   */
+  static createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+      return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * Match the font and cell size being drawn, emptying the atlas if they change
+   * @param {string} font - CSS font, e.g. from Renderer.getFont
+   * @param {number} cellSize - Cell size in pixels
+   */
+  setFont(font, cellSize) {
+    if (font === this.font && cellSize === this.cellSize) return;
+
+    this.font = font;
+    this.cellSize = cellSize;
+
+    // Glyphs can spill past their cell, so each slot has room around it
+    this.padding = Math.ceil(cellSize / 4);
+    this.slotSize = cellSize + this.padding * 2;
+    this.slotsPerRow = Math.floor(this.size / this.slotSize);
+    this.clear();
+  }
+
+  /**
+   * Forget every cached glyph
+   */
+  clear() {
+    this.slots.clear();
+    this.nextSlot = 0;
+    this.ctx.clearRect(0, 0, this.size, this.size);
+  }
+
+  /**
+   * Find a glyph's slot, rendering it into the atlas the first time it is used
+   * When the atlas is full it starts over, so only the glyphs in use come back.
+   * @param {number} codePoint - Character code point
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @returns {number} Slot index
+   */
+  getSlot(codePoint, r, g, b) {
+    const step = 256 / this.colorLevels;
+    const qr = Math.min(this.colorLevels - 1, Math.floor(r / step));
+    const qg = Math.min(this.colorLevels - 1, Math.floor(g / step));
+    const qb = Math.min(this.colorLevels - 1, Math.floor(b / step));
+    const key = ((codePoint * this.colorLevels + qr) * this.colorLevels + qg) * this.colorLevels + qb;
+
+    const cached = this.slots.get(key);
+    if (cached !== undefined) return cached;
+
+    if (this.nextSlot >= this.slotsPerRow * this.slotsPerRow) {
+      this.clear();
+    }
+
+    const slot = this.nextSlot++;
+    const x = (slot % this.slotsPerRow) * this.slotSize;
+    const y = Math.floor(slot / this.slotsPerRow) * this.slotSize;
+
+    // Draw in the middle of each color level, clipped to the slot
+    const level = (q) => Math.round(Math.min(255, (q + 0.5) * step));
+    const ctx = this.ctx;
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, this.slotSize, this.slotSize);
+    ctx.clip();
+    ctx.font = this.font;
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = `rgb(${level(qr)}, ${level(qg)}, ${level(qb)})`;
+    ctx.fillText(String.fromCodePoint(codePoint), x + this.padding, y + this.padding);
+    ctx.restore();
+
+    this.slots.set(key, slot);
+    return slot;
+  }
+
+  /**
+   * Draw a character
+   * @param {CanvasRenderingContext2D} ctx - Context to draw into
+   * @param {number} codePoint - Character code point
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} x - Left of the cell in pixels
+   * @param {number} y - Top of the cell in pixels
+   */
+  draw(ctx, codePoint, r, g, b, x, y) {
+    const slot = this.getSlot(codePoint, r, g, b);
+    const slotSize = this.slotSize;
+    ctx.drawImage(
+      this.canvas,
+      (slot % this.slotsPerRow) * slotSize,
+      Math.floor(slot / this.slotsPerRow) * slotSize,
+      slotSize,
+      slotSize,
+      x - this.padding,
+      y - this.padding,
+      slotSize,
+      slotSize
+    );
+  }
+}
+
+// Export for use in other modules
+window.GlyphAtlas = GlyphAtlas;
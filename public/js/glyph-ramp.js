@@ -0,0 +1,127 @@
+/**
+ * Glyph Ramp
+ * Builds character sets from how much of a cell each glyph fills in a font
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./utils.js'));
+  } else {
+    root.GlyphRamp = factory(root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Utils) {
+  'use strict';
+
+  // Candidate glyphs: printable ASCII plus the shades, blocks and marks the
+  // built-in sets use
+  const DEFAULT_POOL = ' .\'`,:;-_~^"!|/\\()<>[]{}?+=*ilIjtfrcvxzunoaeswXYJCLQ0OZmqpdbkhMW&8%#@$' +
+    '·˙∙≈∼≋≡░▒▓█■▮▁▂▃▄▅▆▇※✦✱⁂';
+
+  // Bands from lightest to heaviest; foam sits mid-ramp like the stars of
+  // the classic set
+  const BANDS = ['sky', 'surface', 'shallow', 'foam', 'medium', 'deep'];
+
+  // Glyphs whose levels differ by less than this look the same
+  const MIN_STEP = 0.01;
+
+  /**
+   * Perceived lightness of a cell with some share of it inked (CIE L*)
+   * @param {number} coverage - Share of the cell covered (0-1)
+   * @returns {number} Lightness (0-1)
+   */
+  function lightness(coverage) {
+    return coverage > 0.008856 ? (116 * Math.cbrt(coverage) - 16) / 100 : coverage * 9.033;
+  }
+
+  const GlyphRamp = {
+    DEFAULT_POOL,
+    BANDS,
+
+    /**
+     * Measure how much of a cell each glyph fills
+     * Glyphs wider than one cell are left out.
+     * @param {CanvasRenderingContext2D} context - Context on a canvas at least
+     *   cellSize square, with its font set to the font to measure
+     * @param {string} pool - Candidate characters
+     * @param {number} cellSize - Cell size in pixels
+     * @returns {Array<Object>} Measurements of each usable glyph, with char
+     *   and coverage (0-1)
+     */
+    measure(context, pool, cellSize) {
+      const chars = [...new Set(Array.from(pool))];
+      const measurements = [];
+
+      context.textBaseline = 'top';
+      context.fillStyle = '#fff';
+
+      chars.forEach(char => {
+        if (Utils.getCharacterWidth(char) !== 1) return;
+        if (context.measureText(char).width > cellSize) return;
+
+        context.clearRect(0, 0, cellSize, cellSize);
+        context.fillText(char, 0, 0);
+        const data = context.getImageData(0, 0, cellSize, cellSize).data;
+
+        let ink = 0;
+        for (let i = 3; i < data.length; i += 4) {
+          ink += data[i];
+        }
+        measurements.push({ char, coverage: ink / (255 * cellSize * cellSize) });
+      });
+
+      return measurements;
+    },
+
+    /**
+     * Split measured glyphs into an evenly stepped character set
+     * Glyphs are placed on a perceptual lightness scale relative to the
+     * fullest one, and each band takes the glyphs nearest to even steps
+     * across its share of the scale. Water bands run from heavy to light as
+     * the water rises, matching how WaveEngine picks characters within a band.
+     * @param {Array<Object>} measurements - Glyphs from measure
+     * @param {number} perBand - Most characters per band
+     * @returns {Object} Arrays of characters by band, ready for
+     *   WaveEngine.addCharacterSet, or null if there are no glyphs
+     */
+    build(measurements, perBand = 4) {
+      if (measurements.length === 0) return null;
+
+      const maxCoverage = Math.max(...measurements.map(m => m.coverage)) || 1;
+      const ramp = measurements
+        .map(m => ({ char: m.char, level: lightness(m.coverage / maxCoverage) }))
+        .sort((a, b) => a.level - b.level)
+        .filter((glyph, i, sorted) => i === 0 || glyph.level - sorted[i - 1].level >= MIN_STEP);
+
+      const nearest = (glyphs, level) => glyphs.reduce((best, glyph) =>
+        Math.abs(glyph.level - level) < Math.abs(best.level - level) ? glyph : best);
+
+      const bands = {};
+      BANDS.forEach((band, index) => {
+        const low = index / BANDS.length;
+        const high = (index + 1) / BANDS.length;
+        const inBand = ramp.filter(glyph => glyph.level >= low && (glyph.level < high || index === BANDS.length - 1));
+
+        // Even steps across the band, or the closest glyph if none fall in it
+        const count = Utils.clamp(inBand.length, 1, perBand);
+        const chars = [];
+        for (let i = 0; i < count; i++) {
+          const level = low + (high - low) * (i + 0.5) / count;
+          const glyph = nearest(inBand.length > 0 ? inBand : ramp, level);
+          if (!chars.includes(glyph.char)) chars.push(glyph.char);
+        }
+
+        bands[band] = band === 'sky' || band === 'foam' ? chars : chars.reverse();
+      });
+
+      // The calmest water is always blank
+      if (!bands.sky.includes(' ')) {
+        bands.sky = [' ', ...bands.sky.slice(0, perBand - 1)];
+      }
+
+      return bands;
+    }
+  };
+
+  return GlyphRamp;
+});
@@ -14,8 +14,8 @@ class App {
     // Initialize wave engine
     this.waveEngine = new WaveEngine();
 
-    // Initialize renderer
-    this.renderer = new Renderer(this.canvas, this.waveEngine);
+    // Initialize renderer, sampling the waves off the main thread
+    this.renderer = new Renderer(this.canvas, this.waveEngine, { worker: true });
 
     // Initialize controls
     this.controls = new Controls(this.waveEngine, this.renderer);
@@ -23,12 +23,18 @@ class App {
     // Initialize export manager
     this.exportManager = new ExportManager(this.controls, this.renderer);
 
+    // Initialize performance overlay
+    this.performanceHud = new PerformanceHud(document.getElementById('performanceHud'), this.renderer);
+
     // Start rendering
     this.renderer.start();
 
     // Setup keyboard shortcuts
     this.setupKeyboardShortcuts();
 
+    // Setup pointer ripples and object placement
+    this.setupPointer();
+
     console.log('ASCII Waves initialized');
   }
 
@@ -37,7 +43,22 @@ class App {
    */
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
-      // Space: Pause/Resume (if we add this feature)
+      // Leave keys alone while typing into text and number fields
+      const typing = e.target.matches && e.target.matches('input:not([type="range"]):not([type="checkbox"]), textarea');
+      if (typing) return;
+
+      // Space: Pause/Resume (leave Space alone on focused buttons and inputs)
+      const inControl = e.target.closest && e.target.closest('button, input, select, textarea');
+      if (e.key === ' ' && !inControl) {
+        e.preventDefault();
+        this.controls.togglePause();
+      }
+
+      // , and .: Step one frame back/forward
+      if ((e.key === ',' || e.key === '.') && !e.ctrlKey && !e.metaKey) {
+        this.controls.stepFrame(e.key === ',' ? -1 : 1);
+      }
+
       // S: Screenshot
       if (e.key === 's' && (e.ctrlKey || e.metaKey)) {
         e.preventDefault();
@@ -59,6 +80,11 @@ class App {
         this.controls.saveToStorage();
       }
 
+      // P: Toggle the performance overlay
+      if (e.key === 'p' && !e.ctrlKey && !e.metaKey) {
+        this.performanceHud.toggle();
+      }
+
       // Number keys 1-6: Load presets
       const presetKeys = ['ocean', 'sunset', 'storm', 'night', 'tropical', 'terminal'];
       const num = parseInt(e.key);
@@ -68,6 +94,41 @@ class App {
     });
   }
 
+  /**
+   * Setup mouse and touch input, which drops ripples into the waves, or
+   * places floating objects while placing is turned on
+   */
+  setupPointer() {
+    const position = (e) => {
+      const rect = this.canvas.getBoundingClientRect();
+      return [(e.clientX - rect.left) / rect.width, (e.clientY - rect.top) / rect.height];
+    };
+    const disturb = (e, strength) => {
+      const [x, y] = position(e);
+      this.waveEngine.disturb(x, y, strength);
+    };
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      // A placed object lands with a small splash
+      if (this.controls.placingFloaters) {
+        const [x, y] = position(e);
+        this.controls.placeFloater(x, y);
+        disturb(e, 0.5);
+        return;
+      }
+
+      this.canvas.setPointerCapture(e.pointerId);
+      disturb(e, 1);
+    });
+
+    // Dragging leaves a lighter trail of ripples
+    this.canvas.addEventListener('pointermove', (e) => {
+      if (this.canvas.hasPointerCapture(e.pointerId)) {
+        disturb(e, 0.3);
+      }
+    });
+  }
+
   /**
    * Stop the application
    */
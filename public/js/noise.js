@@ -4,191 +4,201 @@
  * Provides smooth, organic noise for wave variation
  */
 
-class SimplexNoise {
-  constructor(seed = Math.random()) {
-    this.p = new Uint8Array(256);
-    this.perm = new Uint8Array(512);
-    this.permMod12 = new Uint8Array(512);
-
-    // Initialize permutation table with seed
-    for (let i = 0; i < 256; i++) {
-      this.p[i] = i;
-    }
-
-    // Fisher-Yates shuffle with seeded random
-    let random = this.seededRandom(seed);
-    for (let i = 255; i > 0; i--) {
-      const j = Math.floor(random() * (i + 1));
-      [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
-    }
-
-    // Extend permutation table
-    for (let i = 0; i < 512; i++) {
-      this.perm[i] = this.p[i & 255];
-      this.permMod12[i] = this.perm[i] % 12;
-    }
-
-    // Simplex skewing constants
-    this.F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
-    this.G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
-    this.F3 = 1.0 / 3.0;
-    this.G3 = 1.0 / 6.0;
-
-    // Gradient vectors
-    this.grad3 = [
-      [1,1,0], [-1,1,0], [1,-1,0], [-1,-1,0],
-      [1,0,1], [-1,0,1], [1,0,-1], [-1,0,-1],
-      [0,1,1], [0,-1,1], [0,1,-1], [0,-1,-1]
-    ];
-  }
-
-  seededRandom(seed) {
-    return function() {
-      seed = (seed * 9301 + 49297) % 233280;
-      return seed / 233280;
-    };
-  }
-
-  dot2(g, x, y) {
-    return g[0] * x + g[1] * y;
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SimplexNoise = factory();
   }
-
-  dot3(g, x, y, z) {
-    return g[0] * x + g[1] * y + g[2] * z;
-  }
-
-  noise2D(xin, yin) {
-    let n0, n1, n2;
-
-    const s = (xin + yin) * this.F2;
-    const i = Math.floor(xin + s);
-    const j = Math.floor(yin + s);
-    const t = (i + j) * this.G2;
-    const X0 = i - t;
-    const Y0 = j - t;
-    const x0 = xin - X0;
-    const y0 = yin - Y0;
-
-    const i1 = x0 > y0 ? 1 : 0;
-    const j1 = x0 > y0 ? 0 : 1;
-
-    const x1 = x0 - i1 + this.G2;
-    const y1 = y0 - j1 + this.G2;
-    const x2 = x0 - 1.0 + 2.0 * this.G2;
-    const y2 = y0 - 1.0 + 2.0 * this.G2;
-
-    const ii = i & 255;
-    const jj = j & 255;
-    const gi0 = this.permMod12[ii + this.perm[jj]];
-    const gi1 = this.permMod12[ii + i1 + this.perm[jj + j1]];
-    const gi2 = this.permMod12[ii + 1 + this.perm[jj + 1]];
-
-    let t0 = 0.5 - x0 * x0 - y0 * y0;
-    if (t0 < 0) {
-      n0 = 0.0;
-    } else {
-      t0 *= t0;
-      n0 = t0 * t0 * this.dot2(this.grad3[gi0], x0, y0);
-    }
-
-    let t1 = 0.5 - x1 * x1 - y1 * y1;
-    if (t1 < 0) {
-      n1 = 0.0;
-    } else {
-      t1 *= t1;
-      n1 = t1 * t1 * this.dot2(this.grad3[gi1], x1, y1);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  class SimplexNoise {
+    constructor(seed = Math.random()) {
+      this.p = new Uint8Array(256);
+      this.perm = new Uint8Array(512);
+      this.permMod12 = new Uint8Array(512);
+
+      // Initialize permutation table with seed
+      for (let i = 0; i < 256; i++) {
+        this.p[i] = i;
+      }
+
+      // Fisher-Yates shuffle with seeded random
+      let random = this.seededRandom(seed);
+      for (let i = 255; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [this.p[i], this.p[j]] = [this.p[j], this.p[i]];
+      }
+
+      // Extend permutation table
+      for (let i = 0; i < 512; i++) {
+        this.perm[i] = this.p[i & 255];
+        this.permMod12[i] = this.perm[i] % 12;
+      }
+
+      // Simplex skewing constants
+      this.F2 = 0.5 * (Math.sqrt(3.0) - 1.0);
+      this.G2 = (3.0 - Math.sqrt(3.0)) / 6.0;
+      this.F3 = 1.0 / 3.0;
+      this.G3 = 1.0 / 6.0;
+
+      // Gradient vectors
+      this.grad3 = [
+        [1,1,0], [-1,1,0], [1,-1,0], [-1,-1,0],
+        [1,0,1], [-1,0,1], [1,0,-1], [-1,0,-1],
+        [0,1,1], [0,-1,1], [0,1,-1], [0,-1,-1]
+      ];
     }
 
-    let t2 = 0.5 - x2 * x2 - y2 * y2;
-    if (t2 < 0) {
-      n2 = 0.0;
-    } else {
-      t2 *= t2;
-      n2 = t2 * t2 * this.dot2(this.grad3[gi2], x2, y2);
+    seededRandom(seed) {
+      return function() {
+        seed = (seed * 9301 + 49297) % 233280;
+        return seed / 233280;
+      };
     }
 
-    return 70.0 * (n0 + n1 + n2);
-  }
-
-  noise3D(xin, yin, zin) {
-    let n0, n1, n2, n3;
-
-    const s = (xin + yin + zin) * this.F3;
-    const i = Math.floor(xin + s);
-    const j = Math.floor(yin + s);
-    const k = Math.floor(zin + s);
-    const t = (i + j + k) * this.G3;
-    const X0 = i - t;
-    const Y0 = j - t;
-    const Z0 = k - t;
-    const x0 = xin - X0;
-    const y0 = yin - Y0;
-    const z0 = zin - Z0;
-
-    let i1, j1, k1, i2, j2, k2;
-    if (x0 >= y0) {
-      if (y0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=1; k2=0; }
-      else if (x0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=0; k2=1; }
-      else { i1=0; j1=0; k1=1; i2=1; j2=0; k2=1; }
-    } else {
-      if (y0 < z0) { i1=0; j1=0; k1=1; i2=0; j2=1; k2=1; }
-      else if (x0 < z0) { i1=0; j1=1; k1=0; i2=0; j2=1; k2=1; }
-      else { i1=0; j1=1; k1=0; i2=1; j2=1; k2=0; }
+    dot2(g, x, y) {
+      return g[0] * x + g[1] * y;
     }
 
-    const x1 = x0 - i1 + this.G3;
-    const y1 = y0 - j1 + this.G3;
-    const z1 = z0 - k1 + this.G3;
-    const x2 = x0 - i2 + 2.0 * this.G3;
-    const y2 = y0 - j2 + 2.0 * this.G3;
-    const z2 = z0 - k2 + 2.0 * this.G3;
-    const x3 = x0 - 1.0 + 3.0 * this.G3;
-    const y3 = y0 - 1.0 + 3.0 * this.G3;
-    const z3 = z0 - 1.0 + 3.0 * this.G3;
-
-    const ii = i & 255;
-    const jj = j & 255;
-    const kk = k & 255;
-    const gi0 = this.permMod12[ii + this.perm[jj + this.perm[kk]]];
-    const gi1 = this.permMod12[ii + i1 + this.perm[jj + j1 + this.perm[kk + k1]]];
-    const gi2 = this.permMod12[ii + i2 + this.perm[jj + j2 + this.perm[kk + k2]]];
-    const gi3 = this.permMod12[ii + 1 + this.perm[jj + 1 + this.perm[kk + 1]]];
-
-    let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
-    if (t0 < 0) {
-      n0 = 0.0;
-    } else {
-      t0 *= t0;
-      n0 = t0 * t0 * this.dot3(this.grad3[gi0], x0, y0, z0);
+    dot3(g, x, y, z) {
+      return g[0] * x + g[1] * y + g[2] * z;
     }
 
-    let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
-    if (t1 < 0) {
-      n1 = 0.0;
-    } else {
-      t1 *= t1;
-      n1 = t1 * t1 * this.dot3(this.grad3[gi1], x1, y1, z1);
+    noise2D(xin, yin) {
+      let n0, n1, n2;
+
+      const s = (xin + yin) * this.F2;
+      const i = Math.floor(xin + s);
+      const j = Math.floor(yin + s);
+      const t = (i + j) * this.G2;
+      const X0 = i - t;
+      const Y0 = j - t;
+      const x0 = xin - X0;
+      const y0 = yin - Y0;
+
+      const i1 = x0 > y0 ? 1 : 0;
+      const j1 = x0 > y0 ? 0 : 1;
+
+      const x1 = x0 - i1 + this.G2;
+      const y1 = y0 - j1 + this.G2;
+      const x2 = x0 - 1.0 + 2.0 * this.G2;
+      const y2 = y0 - 1.0 + 2.0 * this.G2;
+
+      const ii = i & 255;
+      const jj = j & 255;
+      const gi0 = this.permMod12[ii + this.perm[jj]];
+      const gi1 = this.permMod12[ii + i1 + this.perm[jj + j1]];
+      const gi2 = this.permMod12[ii + 1 + this.perm[jj + 1]];
+
+      let t0 = 0.5 - x0 * x0 - y0 * y0;
+      if (t0 < 0) {
+        n0 = 0.0;
+      } else {
+        t0 *= t0;
+        n0 = t0 * t0 * this.dot2(this.grad3[gi0], x0, y0);
+      }
+
+      let t1 = 0.5 - x1 * x1 - y1 * y1;
+      if (t1 < 0) {
+        n1 = 0.0;
+      } else {
+        t1 *= t1;
+        n1 = t1 * t1 * this.dot2(this.grad3[gi1], x1, y1);
+      }
+
+      let t2 = 0.5 - x2 * x2 - y2 * y2;
+      if (t2 < 0) {
+        n2 = 0.0;
+      } else {
+        t2 *= t2;
+        n2 = t2 * t2 * this.dot2(this.grad3[gi2], x2, y2);
+      }
+
+      return 70.0 * (n0 + n1 + n2);
     }
 
-    let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
-    if (t2 < 0) {
-      n2 = 0.0;
-    } else {
-      t2 *= t2;
-      n2 = t2 * t2 * this.dot3(this.grad3[gi2], x2, y2, z2);
+    noise3D(xin, yin, zin) {
+      let n0, n1, n2, n3;
+
+      const s = (xin + yin + zin) * this.F3;
+      const i = Math.floor(xin + s);
+      const j = Math.floor(yin + s);
+      const k = Math.floor(zin + s);
+      const t = (i + j + k) * this.G3;
+      const X0 = i - t;
+      const Y0 = j - t;
+      const Z0 = k - t;
+      const x0 = xin - X0;
+      const y0 = yin - Y0;
+      const z0 = zin - Z0;
+
+      let i1, j1, k1, i2, j2, k2;
+      if (x0 >= y0) {
+        if (y0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=1; k2=0; }
+        else if (x0 >= z0) { i1=1; j1=0; k1=0; i2=1; j2=0; k2=1; }
+        else { i1=0; j1=0; k1=1; i2=1; j2=0; k2=1; }
+      } else {
+        if (y0 < z0) { i1=0; j1=0; k1=1; i2=0; j2=1; k2=1; }
+        else if (x0 < z0) { i1=0; j1=1; k1=0; i2=0; j2=1; k2=1; }
+        else { i1=0; j1=1; k1=0; i2=1; j2=1; k2=0; }
+      }
+
+      const x1 = x0 - i1 + this.G3;
+      const y1 = y0 - j1 + this.G3;
+      const z1 = z0 - k1 + this.G3;
+      const x2 = x0 - i2 + 2.0 * this.G3;
+      const y2 = y0 - j2 + 2.0 * this.G3;
+      const z2 = z0 - k2 + 2.0 * this.G3;
+      const x3 = x0 - 1.0 + 3.0 * this.G3;
+      const y3 = y0 - 1.0 + 3.0 * this.G3;
+      const z3 = z0 - 1.0 + 3.0 * this.G3;
+
+      const ii = i & 255;
+      const jj = j & 255;
+      const kk = k & 255;
+      const gi0 = this.permMod12[ii + this.perm[jj + this.perm[kk]]];
+      const gi1 = this.permMod12[ii + i1 + this.perm[jj + j1 + this.perm[kk + k1]]];
+      const gi2 = this.permMod12[ii + i2 + this.perm[jj + j2 + this.perm[kk + k2]]];
+      const gi3 = this.permMod12[ii + 1 + this.perm[jj + 1 + this.perm[kk + 1]]];
+
+      let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+      if (t0 < 0) {
+        n0 = 0.0;
+      } else {
+        t0 *= t0;
+        n0 = t0 * t0 * this.dot3(this.grad3[gi0], x0, y0, z0);
+      }
+
+      let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+      if (t1 < 0) {
+        n1 = 0.0;
+      } else {
+        t1 *= t1;
+        n1 = t1 * t1 * this.dot3(this.grad3[gi1], x1, y1, z1);
+      }
+
+      let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+      if (t2 < 0) {
+        n2 = 0.0;
+      } else {
+        t2 *= t2;
+        n2 = t2 * t2 * this.dot3(this.grad3[gi2], x2, y2, z2);
+      }
+
+      let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+      if (t3 < 0) {
+        n3 = 0.0;
+      } else {
+        t3 *= t3;
+        n3 = t3 * t3 * this.dot3(this.grad3[gi3], x3, y3, z3);
+      }
+
+      return 32.0 * (n0 + n1 + n2 + n3);
     }
-
-    let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
-    if (t3 < 0) {
-      n3 = 0.0;
-    } else {
-      t3 *= t3;
-      n3 = t3 * t3 * this.dot3(this.grad3[gi3], x3, y3, z3);
-    }
-
-    return 32.0 * (n0 + n1 + n2 + n3);
   }
-}
 
-// Export for use in other modules
-window.SimplexNoise = SimplexNoise;
+  return SimplexNoise;
+});
@@ -0,0 +1,268 @@
+/**
+ * Palette
+ * Colour calculations shared by the canvas renderer and other outputs
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./terrain.js'), require('./sky.js'), require('./floaters.js'), require('./utils.js'));
+  } else {
+    root.Palette = factory(root.Terrain, root.Sky, root.Floaters, root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Terrain, Sky, Floaters, Utils) {
+  'use strict';
+
+  const SURFACE = Terrain.SURFACE;
+
+  // Beach colours (hue, saturation, lightness); wet sand is darker
+  const SAND_COLOR = [40, 0.5, 0.62];
+  const WET_SAND_COLOR = [35, 0.35, 0.36];
+
+  // Gradient-map colouring: wave intensity from trough (0) to crest (1) looks
+  // up the gradient stops, with its own foam and background colours
+  const GRADIENT_DEFAULTS = {
+    colorMode: 'hue',
+    gradient: [
+      { position: 0, color: '#0a1f4d' },
+      { position: 0.55, color: '#1479a8' },
+      { position: 1, color: '#3fe0d0' }
+    ],
+    foamColor: '#f4fbff',
+    backgroundColor: '#030a1a'
+  };
+
+  const Palette = {
+    /**
+     * Look up a color along a multi-stop gradient
+     * @param {Array<Object>} stops - Stops with position (0-1) and hex color, in any order
+     * @param {number} position - Position along the gradient (0-1)
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    sampleGradient(stops, position) {
+      if (!stops || stops.length === 0) return [0, 0, 0];
+
+      const sorted = [...stops].sort((a, b) => a.position - b.position);
+      const t = Utils.clamp(position, 0, 1);
+      if (t <= sorted[0].position) return Utils.hexToRgb(sorted[0].color);
+
+      for (let i = 1; i < sorted.length; i++) {
+        const from = sorted[i - 1];
+        const to = sorted[i];
+        if (t <= to.position) {
+          const span = to.position - from.position;
+          const amount = span > 0 ? (t - from.position) / span : 1;
+          const a = Utils.hexToRgb(from.color);
+          const b = Utils.hexToRgb(to.color);
+          return a.map((channel, j) => Math.round(Utils.lerp(channel, b[j], amount)));
+        }
+      }
+
+      return Utils.hexToRgb(sorted[sorted.length - 1].color);
+    },
+
+    /**
+     * Calculate the color behind the waves
+     * @param {Object} waveConfig - Wave engine configuration
+     * @param {Object} visualConfig - Renderer configuration
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    calculateBackgroundColor(waveConfig, visualConfig) {
+      if (visualConfig.colorMode === 'gradient') {
+        return this.adjustBrightness(Utils.hexToRgb(visualConfig.backgroundColor), visualConfig.brightness);
+      }
+      return this.calculateColor(-waveConfig.amplitude, 1, waveConfig, visualConfig);
+    },
+
+    /**
+     * Lighten or darken a color by the brightness setting
+     * @param {Array} color - [r, g, b]
+     * @param {number} brightness - Brightness (-0.5 to 0.5)
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    adjustBrightness(color, brightness = 0) {
+      return color.map(channel => Math.round(Utils.clamp(channel + brightness * 255, 0, 255)));
+    },
+
+    /**
+     * Calculate a gradient-map color for a water cell
+     * Contrast stretches the gradient around its middle, back layers fade
+     * toward the background and foam takes the foam color.
+     * @param {number} normalized - Wave intensity (0 = trough, 1 = crest)
+     * @param {boolean} foam - Whether the cell is foam or surf
+     * @param {number} layerDepth - Layer depth (0-1, 0 = front)
+     * @param {Object} waveConfig - Wave engine configuration
+     * @param {Object} visualConfig - Renderer configuration
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    calculateGradientColor(normalized, foam, layerDepth, waveConfig, visualConfig) {
+      const color = foam
+        ? Utils.hexToRgb(visualConfig.foamColor)
+        : this.sampleGradient(visualConfig.gradient, (normalized - 0.5) * visualConfig.contrast + 0.5);
+
+      const background = Utils.hexToRgb(visualConfig.backgroundColor);
+      const fade = layerDepth * waveConfig.depthEffect * 0.5;
+      const faded = color.map((channel, i) => Utils.lerp(channel, background[i], fade));
+      return this.adjustBrightness(faded, visualConfig.brightness);
+    },
+
+    /**
+     * Calculate color for a given wave value and layer
+     * @param {number} waveValue - Wave value
+     * @param {number} layerDepth - Layer depth (0-1, 0 = front)
+     * @param {Object} waveConfig - Wave engine configuration
+     * @param {Object} visualConfig - Renderer configuration
+     * @param {number} surface - Surface type from WaveEngine.getSurface
+     * @param {number} foamThreshold - Normalized height above which crests are
+     *   foam, from WaveEngine.getFoamThreshold (gradient mode only; default:
+     *   only surf is foam)
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    calculateColor(waveValue, layerDepth, waveConfig, visualConfig, surface = SURFACE.WATER, foamThreshold = 1) {
+      // Beach ignores the water hue
+      if (surface === SURFACE.SAND || surface === SURFACE.WET_SAND) {
+        const [hue, saturation, lightness] = surface === SURFACE.SAND ? SAND_COLOR : WET_SAND_COLOR;
+        return Utils.hslToRgb(hue, saturation, Utils.clamp(lightness + visualConfig.brightness, 0, 1));
+      }
+
+      // Normalize wave value to 0-1
+      const normalized = Utils.clamp((waveValue / waveConfig.amplitude + 1) / 2, 0, 1);
+
+      if (visualConfig.colorMode === 'gradient') {
+        const foam = surface === SURFACE.SURF || (normalized > foamThreshold && waveValue > 0);
+        return this.calculateGradientColor(normalized, foam, layerDepth, waveConfig, visualConfig);
+      }
+
+      // Breaking surf is near white, tinted by the water
+      if (surface === SURFACE.SURF) {
+        const lightness = Utils.clamp((0.85 + visualConfig.brightness) * (1 - layerDepth * waveConfig.depthEffect * 0.3), 0, 1);
+        return Utils.hslToRgb(visualConfig.hue, visualConfig.saturation * 0.4, lightness);
+      }
+
+      // Base lightness from config
+      let lightness = 0.5 + visualConfig.brightness;
+
+      // Modulate lightness based on wave value (peaks brighter, troughs darker)
+      lightness *= (0.5 + normalized * 0.5) * visualConfig.contrast;
+
+      // Darken based on layer depth (back layers darker for depth effect)
+      lightness *= 1 - layerDepth * waveConfig.depthEffect * 0.5;
+
+      // Clamp lightness
+      lightness = Utils.clamp(lightness, 0, 1);
+
+      // Convert HSL to RGB
+      return Utils.hslToRgb(visualConfig.hue, visualConfig.saturation, lightness);
+    },
+
+    /**
+     * Calculate color for a sampled cell, honouring per-layer hue and opacity
+     * Translucent layers are blended toward the background color, sky
+     * cells take their color from the wave engine's sky, and floating
+     * objects from its floaters.
+     * @param {number} waveValue - Wave value
+     * @param {number} layer - Layer index
+     * @param {WaveEngine} waveEngine - Wave engine the cell was sampled from
+     * @param {Object} visualConfig - Renderer configuration
+     * @param {number} surface - Surface type from WaveEngine.getSurface
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    calculateCellColor(waveValue, layer, waveEngine, visualConfig, surface = SURFACE.WATER) {
+      if (surface === Floaters.SURFACE.OBJECT) {
+        const layerDepth = layer / Math.max(waveEngine.config.layers, 1);
+        return waveEngine.floaters.calculateColor(layerDepth, waveEngine.config.depthEffect);
+      }
+
+      // Sky cells carry their gradient position as the wave value
+      if (surface >= Sky.SURFACE.SKY) {
+        return waveEngine.sky.calculateColor(waveValue, surface);
+      }
+
+      const layerDepth = layer / Math.max(waveEngine.config.layers, 1);
+      const { hue, opacity = 1 } = waveEngine.getLayerSettings(layer);
+      const layerVisual = hue === undefined ? visualConfig : { ...visualConfig, hue };
+      const color = this.calculateColor(waveValue, layerDepth, waveEngine.getLayerConfig(layer), layerVisual, surface, waveEngine.getFoamThreshold());
+
+      if (opacity >= 1) return color;
+
+      const background = this.calculateBackgroundColor(waveEngine.config, visualConfig);
+      return color.map((channel, i) => Math.round(Utils.lerp(background[i], channel, opacity)));
+    },
+
+    /**
+     * Build an indexed palette covering every lightness of the current hue
+     * Rendered colors (including anti-aliasing and vignette) stay close to
+     * this ramp, so it suits formats limited to 256 colors such as GIF.
+     * With a shoreline, part of the palette goes to sand and surf ramps.
+     * @param {Object} visualConfig - Renderer configuration
+     * @param {number} size - Number of colors (max 256)
+     * @param {Object} waveConfig - Wave engine configuration, to detect a shoreline
+     * @param {Array<Array>} extraColors - Further colors to reserve, e.g. from Sky.getPaletteColors and Floaters.getPaletteColors
+     * @returns {Array<Array>} Array of [r, g, b] colors, dark to light within each ramp
+     */
+    buildIndexedPalette(visualConfig, size = 256, waveConfig = null, extraColors = []) {
+      if (extraColors.length > 0) {
+        return [
+          ...this.buildIndexedPalette(visualConfig, size - extraColors.length, waveConfig),
+          ...extraColors
+        ];
+      }
+
+      const ramp = (hue, saturation, count) => {
+        const colors = [];
+        for (let i = 0; i < count; i++) {
+          colors.push(Utils.hslToRgb(hue, saturation, i / (count - 1)));
+        }
+        return colors;
+      };
+
+      const waterRamp = (count) => visualConfig.colorMode === 'gradient'
+        ? this.buildGradientRamp(visualConfig, count)
+        : ramp(visualConfig.hue, visualConfig.saturation, count);
+
+      if (!waveConfig || !waveConfig.shoreMode || waveConfig.shoreMode === 'off') {
+        return waterRamp(size);
+      }
+
+      const beachSize = Math.floor(size / 8);
+      return [
+        ...waterRamp(size - beachSize * 3),
+        ...ramp(visualConfig.hue, visualConfig.saturation * 0.4, beachSize),
+        ...ramp(SAND_COLOR[0], SAND_COLOR[1], beachSize),
+        ...ramp(WET_SAND_COLOR[0], WET_SAND_COLOR[1], beachSize)
+      ];
+    },
+
+    /**
+     * Build an indexed palette for gradient-map colors
+     * Each gradient sample and the foam color get a ramp from the background,
+     * which covers back layers fading into it and anti-aliased edges.
+     * @param {Object} visualConfig - Renderer configuration
+     * @param {number} size - Number of colors
+     * @returns {Array<Array>} Array of [r, g, b] colors, starting with the background
+     */
+    buildGradientRamp(visualConfig, size) {
+      const steps = 8;
+      const samples = Math.max(2, Math.floor((size - 1) / steps) - 1);
+      const background = this.adjustBrightness(Utils.hexToRgb(visualConfig.backgroundColor), visualConfig.brightness);
+
+      const bases = [this.adjustBrightness(Utils.hexToRgb(visualConfig.foamColor), visualConfig.brightness)];
+      for (let i = 0; i < samples; i++) {
+        const color = this.sampleGradient(visualConfig.gradient, i / (samples - 1));
+        bases.push(this.adjustBrightness(color, visualConfig.brightness));
+      }
+
+      const colors = [background];
+      bases.forEach(base => {
+        for (let i = 1; i <= steps; i++) {
+          colors.push(base.map((channel, j) => Math.round(Utils.lerp(background[j], channel, i / steps))));
+        }
+      });
+      return colors.slice(0, size);
+    }
+  };
+
+  Palette.GRADIENT_DEFAULTS = GRADIENT_DEFAULTS;
+
+  return Palette;
+});
@@ -0,0 +1,105 @@
+/**
+ * Performance HUD
+ * Overlay showing frame rate, grid size and where frame time goes
+ */
+
+class PerformanceHud {
+  /**
+   * @param {HTMLElement} element - Overlay element, hidden until toggled
+   * @param {Renderer} renderer - Renderer to report on
+   */
+  constructor(element, renderer) {
+    this.element = element;
+    this.renderer = renderer;
+    this.visible = false;
+    this.lastUpdate = 0;
+
+    renderer.addFrameListener(() => this.update());
+  }
+
+  /**
+   * Show or hide the overlay
+   * @param {boolean} visible - Show it (default: the opposite of now)
+   * @returns {boolean} True if the overlay is now shown
+   */
+  toggle(visible = !this.visible) {
+    this.visible = visible;
+    if (this.element) {
+      this.element.hidden = !visible;
+    }
+    if (visible) {
+      this.update(true);
+    }
+    return visible;
+  }
+
+  /**
+   * Refresh the figures, a few times a second so they can be read
+   * @param {boolean} force - Refresh even if the last refresh was just now
+   */
+  update(force = false) {
+    if (!this.visible || !this.element) return;
+
+    const now = performance.now();
+    if (!force && now - this.lastUpdate < PerformanceHud.UPDATE_INTERVAL) return;
+    this.lastUpdate = now;
+
+    this.element.textContent = this.getLines().join('\n');
+  }
+
+  /**
+   * Describe the renderer's current performance
+   * @returns {Array<string>} Lines of the overlay
+   */
+  getLines() {
+    const renderer = this.renderer;
+    const stats = renderer.stats;
+    const ms = (value) => `${Utils.formatNumber(value, 1)} ms`;
+    const label = (text) => text.padEnd(9);
+
+    const compute = stats.workerTime === null
+      ? ms(stats.computeTime)
+      : `${ms(stats.computeTime)} (worker ${ms(stats.workerTime)})`;
+
+    const lines = [
+      `${label('FPS')}${Utils.formatNumber(stats.fps, 1)} (${ms(stats.frameTime)})`,
+      `${label('Grid')}${renderer.gridWidth}×${renderer.gridHeight} at ${renderer.cellSize}px`,
+      `${label('Cells')}${(renderer.gridWidth * renderer.gridHeight).toLocaleString()}`,
+      `${label('Compute')}${compute}`,
+      `${label('Draw')}${ms(stats.drawTime)}`,
+      `${label('Quality')}${this.describeQuality()}`
+    ];
+
+    // Say why the waves are sampled on the main thread after all
+    const worker = renderer.worker;
+    if (worker && worker.failure) {
+      lines.push(`${label('Worker')}off (${worker.failure})`);
+    }
+    return lines;
+  }
+
+  /**
+   * Describe what adaptive quality has turned down
+   * @returns {string} Description, e.g. "level 2 of 6: 2 layers, 20px cells"
+   */
+  describeQuality() {
+    const renderer = this.renderer;
+    const quality = renderer.quality;
+    if (!quality.config.adaptive) return 'fixed';
+    if (quality.level === 0) return `full (target ${quality.config.targetFps} fps)`;
+
+    const layers = quality.getLayers(renderer.waveEngine.config.layers);
+    const changes = [`${layers} layer${layers === 1 ? '' : 's'}`, `${renderer.cellSize}px cells`];
+    const frameRate = quality.getFrameRate();
+    if (frameRate) {
+      changes.push(`${frameRate} fps cap`);
+    }
+    return `level ${quality.level} of ${QualityManager.STEPS.length}: ${changes.join(', ')}`;
+  }
+}
+
+// Refresh interval (ms)
+PerformanceHud.UPDATE_INTERVAL = 250;
+
+// Export for use in other modules
+window.PerformanceHud = PerformanceHud;
@@ -0,0 +1,221 @@
+/**
+ * Quality Manager
+ * Trades detail for frame rate: draws fewer layers, larger cells or fewer
+ * frames when the target frame rate is missed, and restores them when there
+ * is time to spare
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.QualityManager = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const DEFAULTS = {
+    adaptive: false,
+    targetFps: 30
+  };
+
+  // Each level of reduction adds one step, cheapest to notice first
+  const STEPS = [
+    { layers: -1 },
+    { cellScale: 1.25 },
+    { layers: -1 },
+    { cellScale: 1.25 },
+    { capFrameRate: true },
+    { cellScale: 1.25 }
+  ];
+
+  // Frame time measured before each decision (ms)
+  const WINDOW = 1000;
+
+  // Missing the target by less than this share doesn't count, so frame
+  // jitter alone doesn't lower quality
+  const TOLERANCE = 0.9;
+
+  // A step is restored once frames take under this share of the frame
+  // budget for RECOVER_WINDOWS windows in a row
+  const HEADROOM = 0.5;
+  const RECOVER_WINDOWS = 3;
+
+  // Longer gaps between frames (a hidden tab, a modal dialog) aren't measured
+  const MAX_FRAME_GAP = 250;
+
+  // A capped frame drawn this early (ms) still counts as on time
+  const FRAME_SLACK = 1;
+
+  class QualityManager {
+    constructor(config = {}) {
+      // Shortest gap seen between display refreshes (ms); a property of the
+      // display, so reset() keeps it
+      this.refreshInterval = 0;
+      this.reset(config);
+    }
+
+    /**
+     * Update configuration
+     * Turning adaptive mode off restores full quality.
+     * @param {Object} newConfig - New configuration values
+     */
+    updateConfig(newConfig) {
+      Object.assign(this.config, newConfig);
+      if (!this.config.adaptive) {
+        this.level = 0;
+      }
+      this.clearWindow();
+    }
+
+    /**
+     * Replace the configuration, filling unspecified settings with defaults,
+     * and restore full quality
+     * @param {Object} config - Quality configuration
+     */
+    reset(config = {}) {
+      this.config = { ...DEFAULTS, ...config };
+      this.level = 0;
+      this.clearWindow();
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current configuration
+     */
+    getConfig() {
+      return { ...this.config };
+    }
+
+    /**
+     * Start measuring a new window of frames
+     */
+    clearWindow() {
+      this.sampleWindow = { time: 0, frames: 0, work: 0 };
+      this.headroomWindows = 0;
+    }
+
+    /**
+     * Get the steps in effect at the current level
+     * @returns {Array<Object>} Steps, first taken first
+     */
+    getSteps() {
+      return STEPS.slice(0, this.level);
+    }
+
+    /**
+     * Get the layer count to draw
+     * @param {number} layers - Layer count set by the user
+     * @returns {number} Layer count, at least 1
+     */
+    getLayers(layers) {
+      const dropped = this.getSteps().reduce((sum, step) => sum - (step.layers || 0), 0);
+      return Math.max(1, layers - dropped);
+    }
+
+    /**
+     * Get the cell size to draw with
+     * @param {number} cellSize - Cell size set by the user (px)
+     * @returns {number} Cell size in whole pixels
+     */
+    getCellSize(cellSize) {
+      const scale = this.getSteps().reduce((product, step) => product * (step.cellScale || 1), 1);
+      return Math.round(cellSize * scale);
+    }
+
+    /**
+     * Get the highest frame rate to draw at
+     * @returns {number} Frames per second, or 0 for as fast as the display allows
+     */
+    getFrameRate() {
+      return this.getSteps().some(step => step.capFrameRate) ? this.config.targetFps : 0;
+    }
+
+    /**
+     * Note the time between two display refreshes, drawn or skipped, so the
+     * frame rate a cap can reach is known
+     * @param {number} gap - Time since the previous refresh (ms)
+     */
+    measureRefresh(gap) {
+      if (gap <= 0 || gap > MAX_FRAME_GAP) return;
+      if (!this.refreshInterval || gap < this.refreshInterval) {
+        this.refreshInterval = gap;
+      }
+    }
+
+    /**
+     * Check whether a frame should be drawn at this display refresh
+     * @param {number} gap - Time since the last frame drawn (ms)
+     * @returns {boolean} True unless the frame rate cap says to wait
+     */
+    isFrameDue(gap) {
+      const frameRate = this.getFrameRate();
+      return !frameRate || gap >= 1000 / frameRate - FRAME_SLACK;
+    }
+
+    /**
+     * Get the frame rate to measure against
+     * Capped frames are drawn on display refreshes, so a cap that doesn't
+     * divide the refresh rate runs below it (a 45 fps cap on a 60 Hz display
+     * draws every other refresh, at 30 fps).
+     * @returns {number} Frames per second
+     */
+    getExpectedFps() {
+      const frameRate = this.getFrameRate();
+      if (!frameRate || !this.refreshInterval) return this.config.targetFps;
+
+      const refreshes = Math.max(1, Math.ceil((1000 / frameRate - FRAME_SLACK) / this.refreshInterval));
+      return Math.min(frameRate, 1000 / (refreshes * this.refreshInterval));
+    }
+
+    /**
+     * Measure a frame, and change the level once a window of frames is in
+     * Quality drops a step after any window that misses the target frame
+     * rate (or, under the frame rate cap, the rate the cap can reach), but
+     * only comes back a step after several windows in a row that leave
+     * plenty of the frame budget unused.
+     * @param {number} frameGap - Time since the previous frame (ms)
+     * @param {number} workTime - Time spent computing and drawing the frame (ms)
+     * @returns {boolean} True if the level changed
+     */
+    sample(frameGap, workTime) {
+      if (!this.config.adaptive || frameGap <= 0 || frameGap > MAX_FRAME_GAP) return false;
+
+      const measured = this.sampleWindow;
+      measured.time += frameGap;
+      measured.frames++;
+      measured.work += workTime;
+      if (measured.time < WINDOW) return false;
+
+      const fps = measured.frames * 1000 / measured.time;
+      const work = measured.work / measured.frames;
+      const budget = 1000 / this.config.targetFps;
+      const headroomWindows = this.headroomWindows;
+      this.clearWindow();
+
+      if (fps < this.getExpectedFps() * TOLERANCE || work > budget) {
+        if (this.level < STEPS.length) {
+          this.level++;
+          return true;
+        }
+        return false;
+      }
+
+      if (this.level > 0 && work < budget * HEADROOM) {
+        this.headroomWindows = headroomWindows + 1;
+        if (this.headroomWindows >= RECOVER_WINDOWS) {
+          this.level--;
+          this.headroomWindows = 0;
+          return true;
+        }
+      }
+      return false;
+    }
+  }
+
+  QualityManager.DEFAULTS = DEFAULTS;
+  QualityManager.STEPS = STEPS;
+
+  return QualityManager;
+});
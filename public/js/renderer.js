@@ -4,44 +4,98 @@
  */
 
 class Renderer {
-  constructor(canvas, waveEngine) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to draw into
+   * @param {WaveEngine} waveEngine - Wave engine instance
+   * @param {Object} options - Renderer options
+   * @param {boolean} options.autoResize - Keep the canvas sized to the window (default true)
+   * @param {boolean} options.glyphAtlas - Draw characters from a cached glyph atlas
+   *   rather than with fillText per cell (default true)
+   * @param {boolean} options.worker - Sample the waves in a Web Worker where
+   *   the browser supports it (default false)
+   */
+  constructor(canvas, waveEngine, options = {}) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d', { alpha: false });
     this.waveEngine = waveEngine;
 
     this.config = {
       cellSize: 16,
+      fontFamily: 'monospace',
       hue: 200,
       saturation: 0.6,
       brightness: 0.0,
       contrast: 1.0,
       vignetteIntensity: 0.4,
-      vignetteRadius: 0.6
+      vignetteRadius: 0.6,
+      ...Palette.GRADIENT_DEFAULTS,
+      gradient: Palette.GRADIENT_DEFAULTS.gradient.map(stop => ({ ...stop }))
     };
 
     this.gridWidth = 0;
     this.gridHeight = 0;
     this.lastTime = 0;
-
-    this.resizeCanvas();
-    window.addEventListener('resize', Utils.debounce(() => this.resizeCanvas(), 250));
+    this.frameListeners = [];
+    this.timeline = new Timeline();
+    this.weather = new Weather();
+    this.dayCycle = new DayCycle();
+    this.audio = new AudioReactive();
+    this.atlas = options.glyphAtlas === false ? null : new GlyphAtlas();
+    this.worker = options.worker && WaveWorkerClient.isSupported() ? new WaveWorkerClient(waveEngine) : null;
+
+    // Adaptive quality draws with its own cell size (this.cellSize) and
+    // layer count, so the settings the user chose are what gets saved
+    this.quality = new QualityManager();
+
+    // Characters and colors of the last frame drawn, for text export
+    this.drawn = null;
+
+    // Smoothed timings of recent frames (ms)
+    this.stats = { frameTime: 0, fps: 0, computeTime: 0, drawTime: 0, workerTime: null };
+    this.sampleTime = 0;
+
+    if (options.autoResize === false) {
+      this.setSize(canvas.width, canvas.height);
+    } else {
+      this.resizeCanvas();
+      window.addEventListener('resize', Utils.debounce(() => this.resizeCanvas(), 250));
+    }
   }
 
   /**
    * Resize canvas to fill window
    */
   resizeCanvas() {
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+    this.setSize(window.innerWidth, window.innerHeight);
+  }
 
-    this.gridWidth = Math.ceil(this.canvas.width / this.config.cellSize);
-    this.gridHeight = Math.ceil(this.canvas.height / this.config.cellSize);
+  /**
+   * Resize canvas to a fixed size in pixels
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   */
+  setSize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    this.updateGridSize();
 
     // Setup text rendering
-    this.ctx.font = `${this.config.cellSize}px monospace`;
+    this.ctx.font = this.getFont();
     this.ctx.textBaseline = 'top';
   }
 
+  /**
+   * Recalculate the character grid, matching the ripple field to it so
+   * ripples spread in circles across square cells
+   */
+  updateGridSize() {
+    this.cellSize = this.quality.getCellSize(this.config.cellSize);
+    this.gridWidth = Math.ceil(this.canvas.width / this.cellSize);
+    this.gridHeight = Math.ceil(this.canvas.height / this.cellSize);
+    this.waveEngine.ripples.resize(this.gridWidth, this.gridHeight);
+  }
+
   /**
    * Update configuration
    * @param {Object} newConfig - New configuration values
@@ -49,43 +103,160 @@ class Renderer {
   updateConfig(newConfig) {
     const oldCellSize = this.config.cellSize;
     Object.assign(this.config, newConfig);
+    if (newConfig.gradient) {
+      this.config.gradient = newConfig.gradient.map(stop => ({ ...stop }));
+    }
 
     // Recalculate grid if cell size changed
     if (newConfig.cellSize !== undefined && newConfig.cellSize !== oldCellSize) {
-      this.gridWidth = Math.ceil(this.canvas.width / this.config.cellSize);
-      this.gridHeight = Math.ceil(this.canvas.height / this.config.cellSize);
-      this.ctx.font = `${this.config.cellSize}px monospace`;
+      this.updateGridSize();
     }
+    this.ctx.font = this.getFont();
+  }
+
+  /**
+   * Get the CSS font characters are drawn with
+   * @returns {string} Font shorthand, e.g. "16px monospace"
+   */
+  getFont() {
+    return `${this.cellSize}px ${this.config.fontFamily}`;
   }
 
   /**
    * Calculate color for a given wave value and layer
    * @param {number} waveValue - Wave value
    * @param {number} layerDepth - Layer depth (0-1, 0 = front)
+   * @param {Object} style - Layer style from getLayerStyle (defaults to global config)
+   * @param {number} surface - Surface type from WaveEngine.getSurface
    * @returns {string} RGB color string
    */
-  calculateColor(waveValue, layerDepth) {
-    const waveConfig = this.waveEngine.config;
+  calculateColor(waveValue, layerDepth, style = null, surface = WaveEngine.SURFACE.WATER) {
+    const waveConfig = style ? style.wave : this.waveEngine.config;
+    const visualConfig = style ? style.visual : this.config;
+    const foamThreshold = style ? style.foamThreshold : this.waveEngine.getFoamThreshold();
+    const [r, g, b] = Palette.calculateColor(waveValue, layerDepth, waveConfig, visualConfig, surface, foamThreshold);
+    return `rgb(${r}, ${g}, ${b})`;
+  }
 
-    // Normalize wave value to 0-1
-    const normalized = Utils.clamp((waveValue / waveConfig.amplitude + 1) / 2, 0, 1);
+  /**
+   * Resolve the configuration a layer is drawn with
+   * @param {number} layer - Layer index
+   * @returns {Object} Effective wave and visual config, opacity (0-1) and
+   *   the engine's foam threshold
+   */
+  getLayerStyle(layer) {
+    const { hue, opacity = 1 } = this.waveEngine.getLayerSettings(layer);
+    return {
+      wave: this.waveEngine.getLayerConfig(layer),
+      visual: hue === undefined ? this.config : { ...this.config, hue },
+      opacity,
+      foamThreshold: this.waveEngine.getFoamThreshold()
+    };
+  }
 
-    // Base lightness from config
-    let lightness = 0.5 + this.config.brightness;
+  /**
+   * Get the last frame drawn as character data
+   * Each cell holds the nearest character drawn into it, colored as it
+   * shows on the canvas: blended by layer opacity over what is behind it,
+   * then fogged, lit and vignetted like the canvas.
+   * @returns {Object|null} Frame for FrameFormat with width, height, chars
+   *   (Uint32Array of code points, 32 where blank), layers (Int8Array, 0
+   *   where a character was drawn, -1 where blank) and colors
+   *   (Uint8ClampedArray, r, g, b per cell), or null before the first draw
+   */
+  getDrawnFrame() {
+    return this.drawn;
+  }
 
-    // Modulate lightness based on wave value (peaks brighter, troughs darker)
-    lightness *= (0.5 + normalized * 0.5) * this.config.contrast;
+  /**
+   * Start recording a frame's cells
+   * Each cell starts out the color behind it: the sky gradient above the
+   * horizon and the background below.
+   * @param {number} horizonRow - First grid row below the horizon
+   */
+  beginDrawnFrame(horizonRow) {
+    const width = this.gridWidth;
+    const height = this.gridHeight;
+    const cellCount = width * height;
+
+    if (!this.drawn || this.drawn.chars.length !== cellCount) {
+      this.drawn = {
+        chars: new Uint32Array(cellCount),
+        layers: new Int8Array(cellCount),
+        colors: new Uint8ClampedArray(cellCount * 3)
+      };
+    }
 
-    // Darken based on layer depth (back layers darker for depth effect)
-    lightness *= 1 - layerDepth * waveConfig.depthEffect * 0.5;
+    const drawn = this.drawn;
+    drawn.width = width;
+    drawn.height = height;
+    drawn.chars.fill(32);
+    drawn.layers.fill(-1);
+
+    const background = this.getBackgroundColor();
+    for (let gridY = 0; gridY < height; gridY++) {
+      const color = gridY < horizonRow ? this.waveEngine.sky.getGradientColor(gridY / horizonRow) : background;
+      for (let index = gridY * width; index < (gridY + 1) * width; index++) {
+        drawn.colors.set(color, index * 3);
+      }
+    }
+  }
 
-    // Clamp lightness
-    lightness = Utils.clamp(lightness, 0, 1);
+  /**
+   * Record a character drawn into a cell at the current globalAlpha
+   * @param {number} codePoint - Character code point
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} gridX - Grid column
+   * @param {number} gridY - Grid row
+   */
+  recordChar(codePoint, r, g, b, gridX, gridY) {
+    const drawn = this.drawn;
+    if (gridX < 0 || gridX >= drawn.width || gridY < 0 || gridY >= drawn.height) return;
+
+    const index = gridY * drawn.width + gridX;
+    const alpha = this.ctx.globalAlpha;
+    const colors = drawn.colors;
+    const c = index * 3;
+    colors[c] = Utils.lerp(colors[c], r, alpha);
+    colors[c + 1] = Utils.lerp(colors[c + 1], g, alpha);
+    colors[c + 2] = Utils.lerp(colors[c + 2], b, alpha);
+    drawn.chars[index] = codePoint;
+    drawn.layers[index] = 0;
+  }
 
-    // Convert HSL to RGB
-    const [r, g, b] = Utils.hslToRgb(this.config.hue, this.config.saturation, lightness);
+  /**
+   * Lay a translucent color over recorded cells, as a fill over the canvas does
+   * @param {number} startRow - First grid row covered
+   * @param {Function} getOverlay - (gridX, gridY) => [r, g, b, alpha]
+   * @param {boolean} screen - Blend with 'screen' rather than painting over
+   */
+  overlayDrawn(startRow, getOverlay, screen = false) {
+    const drawn = this.drawn;
+    const colors = drawn.colors;
+
+    for (let gridY = Math.max(0, startRow); gridY < drawn.height; gridY++) {
+      for (let gridX = 0; gridX < drawn.width; gridX++) {
+        const [r, g, b, alpha] = getOverlay(gridX, gridY);
+        if (alpha <= 0) continue;
+
+        const c = (gridY * drawn.width + gridX) * 3;
+        [r, g, b].forEach((value, channel) => {
+          const below = colors[c + channel];
+          const over = screen ? 255 - (255 - below) * (255 - value) / 255 : value;
+          colors[c + channel] = Utils.lerp(below, over, alpha);
+        });
+      }
+    }
+  }
 
-    return `rgb(${r}, ${g}, ${b})`;
+  /**
+   * Calculate the background color
+   * @returns {Array} [r, g, b] where each value is 0-255
+   */
+  getBackgroundColor() {
+    return Palette.calculateBackgroundColor(this.waveEngine.config, this.config);
   }
 
   /**
@@ -109,6 +280,13 @@ class Renderer {
 
     this.ctx.fillStyle = gradient;
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    const cellSize = this.cellSize;
+    this.overlayDrawn(0, (gridX, gridY) => {
+      const distance = Math.hypot((gridX + 0.5) * cellSize - centerX, (gridY + 0.5) * cellSize - centerY);
+      const t = Utils.clamp((distance - vignetteRadius) / (maxRadius - vignetteRadius), 0, 1);
+      return [0, 0, 0, t * this.config.vignetteIntensity];
+    });
   }
 
   /**
@@ -120,58 +298,420 @@ class Renderer {
     const deltaTime = this.lastTime ? (timestamp - this.lastTime) / 1000 : 0;
     this.lastTime = timestamp;
 
-    // Update wave engine
+    // Update wave engine, weather and audio levels
+    const start = performance.now();
     this.waveEngine.update(deltaTime);
+    this.updateWeather(deltaTime);
+    this.audio.update(deltaTime);
+
+    const updated = performance.now();
+    this.draw();
+    const drawn = performance.now();
+
+    this.updateStats(deltaTime * 1000, updated - start, drawn - updated);
+
+    this.frameListeners.forEach(listener => listener(deltaTime));
+  }
+
+  /**
+   * Record a frame's timings and let adaptive quality react to them
+   * Computing covers updating the engine and sampling the waves; drawing is
+   * the rest of draw().
+   * @param {number} frameTime - Time since the previous frame (ms)
+   * @param {number} updateTime - Time spent updating the engine, weather and audio (ms)
+   * @param {number} drawTime - Time spent in draw() (ms)
+   */
+  updateStats(frameTime, updateTime, drawTime) {
+    if (frameTime <= 0) return;
+
+    const stats = this.stats;
+    const smooth = (previous, value) => (previous ? Utils.lerp(previous, value, 0.1) : value);
+    stats.frameTime = smooth(stats.frameTime, frameTime);
+    stats.fps = 1000 / stats.frameTime;
+    stats.computeTime = smooth(stats.computeTime, updateTime + this.sampleTime);
+    stats.drawTime = smooth(stats.drawTime, drawTime - this.sampleTime);
+
+    // The worker samples alongside drawing, so whichever is slower sets the pace
+    const frame = this.worker && !this.worker.failed ? this.worker.frame : null;
+    stats.workerTime = frame ? frame.duration : null;
+
+    const workTime = Math.max(updateTime + drawTime, stats.workerTime || 0);
+    if (this.quality.sample(frameTime, workTime)) {
+      this.applyQuality();
+    }
+  }
+
+  /**
+   * Resize the grid to the adaptive quality level's cell size
+   * Its layer count and frame rate are picked up by draw() and start().
+   */
+  applyQuality() {
+    if (this.quality.getCellSize(this.config.cellSize) !== this.cellSize) {
+      this.updateGridSize();
+      this.ctx.font = this.getFont();
+    }
+  }
+
+  /**
+   * Register a callback to run after every rendered frame
+   * @param {Function} listener - Callback, receives delta time in seconds
+   */
+  addFrameListener(listener) {
+    this.frameListeners.push(listener);
+  }
+
+  /**
+   * Apply timeline keyframes for the current time
+   * Parameters the renderer owns go to the renderer, the rest to the wave engine.
+   */
+  applyTimeline() {
+    if (!this.timeline.enabled || this.timeline.isEmpty()) return;
+
+    const values = this.timeline.evaluate(this.waveEngine.time);
+    const waveConfig = {};
+    const visualConfig = {};
+
+    Object.entries(values).forEach(([param, value]) => {
+      if (param in this.config) {
+        visualConfig[param] = value;
+      } else {
+        waveConfig[param] = value;
+      }
+    });
+
+    this.waveEngine.updateConfig(waveConfig);
+    this.updateConfig(visualConfig);
+  }
+
+  /**
+   * Apply the day cycle's theme for the current time of day
+   * The cycle follows the wall clock, so it runs on even while paused.
+   */
+  applyDayCycle() {
+    if (!this.dayCycle.config.enabled) return;
+    this.updateConfig(this.dayCycle.evaluate(this.dayCycle.getTimeOfDay()));
+  }
+
+  /**
+   * Add the audio levels to their parameters for one frame
+   * @returns {Object|null} Settings before the audio was added, for restoreAudio
+   */
+  applyAudio() {
+    if (!this.audio.active) return null;
+
+    const offsets = this.audio.getOffsets();
+    const base = { wave: {}, visual: {} };
+
+    Object.entries(offsets.wave).forEach(([param, offset]) => {
+      base.wave[param] = this.waveEngine.config[param];
+      this.waveEngine.config[param] += offset;
+    });
+    Object.entries(offsets.visual).forEach(([param, offset]) => {
+      base.visual[param] = this.config[param];
+      this.config[param] += offset;
+    });
+
+    return base;
+  }
+
+  /**
+   * Put back the settings from before applyAudio
+   * @param {Object|null} base - Settings returned by applyAudio
+   */
+  restoreAudio(base) {
+    if (!base) return;
+    Object.assign(this.waveEngine.config, base.wave);
+    Object.assign(this.config, base.visual);
+  }
+
+  /**
+   * Draw the wave engine's current state without advancing time
+   * Audio only moves parameters while the frame is drawn, so saved settings
+   * and sliders keep the values the audio moves away from.
+   */
+  draw() {
+    this.applyTimeline();
+    this.applyDayCycle();
+    const audioBase = this.applyAudio();
+
+    // Adaptive quality may draw fewer layers than are set
+    const layers = this.waveEngine.config.layers;
+    this.waveEngine.config.layers = this.quality.getLayers(layers);
 
     // Clear canvas with background color
-    const bgColor = this.calculateColor(-this.waveEngine.config.amplitude, 1);
-    this.ctx.fillStyle = bgColor;
+    const [bgR, bgG, bgB] = this.getBackgroundColor();
+    this.ctx.fillStyle = `rgb(${bgR}, ${bgG}, ${bgB})`;
     this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-    // Render layers (back to front)
+    if (this.atlas) {
+      this.atlas.setFont(this.getFont(), this.cellSize);
+    }
+
+    // Render sky above the horizon
+    const horizonRow = this.waveEngine.sky.getHorizonRow(this.gridHeight);
+    this.beginDrawnFrame(horizonRow);
+    if (horizonRow > 0) {
+      this.drawSky(horizonRow);
+    }
+
+    // Floating objects are drawn with the layer they ride on
+    const floaterCells = this.waveEngine.layoutFloaters(this.gridWidth, this.gridHeight);
+
+    // Sample every layer up front, then draw them back to front
+    const sampleStart = performance.now();
+    const frame = this.sampleLayers(horizonRow);
+    this.sampleTime = performance.now() - sampleStart;
+
     for (let layer = this.waveEngine.config.layers - 1; layer >= 0; layer--) {
-      const layerDepth = layer / Math.max(this.waveEngine.config.layers, 1);
-
-      // Render grid for this layer
-      for (let gridY = 0; gridY < this.gridHeight; gridY++) {
-        for (let gridX = 0; gridX < this.gridWidth; gridX++) {
-          // Normalize coordinates to 0-1
-          const x = gridX / this.gridWidth;
-          const y = gridY / this.gridHeight;
-
-          // Calculate wave value
-          const waveValue = this.waveEngine.calculateWave(x, y, layer);
-
-          // Select character
-          const char = this.waveEngine.selectCharacter(waveValue, layer);
-
-          // Skip rendering space characters (optimization)
-          if (char === ' ') continue;
-
-          // Calculate color
-          const color = this.calculateColor(waveValue, layerDepth);
-
-          // Draw character
-          this.ctx.fillStyle = color;
-          this.ctx.fillText(
-            char,
-            gridX * this.config.cellSize,
-            gridY * this.config.cellSize
-          );
-        }
+      const style = this.getLayerStyle(layer);
+      this.ctx.globalAlpha = style.opacity;
+      this.drawLayer(frame, layer, style);
+
+      if (floaterCells.size > 0) {
+        this.drawFloaters(floaterCells, layer, horizonRow);
+      }
+
+      // Fog drifts in front of every layer but the nearest, so farther layers fade more
+      if (layer > 0 && this.weather.config.fog > 0) {
+        this.ctx.globalAlpha = 1;
+        this.drawFog(horizonRow);
       }
     }
 
+    this.ctx.globalAlpha = 1;
+
+    // Rain, snow and lightning over everything
+    this.drawWeather();
+
     // Apply vignette effect
     this.applyVignette();
+
+    this.waveEngine.config.layers = layers;
+    this.restoreAudio(audioBase);
+  }
+
+  /**
+   * Sample the water below the horizon for drawing
+   * With a worker, this draws the frame it finished last and asks for the
+   * next one, so the water trails the engine by a frame. Until the worker
+   * has a frame for the current grid, or if it fails, the engine samples
+   * on the main thread.
+   * @param {number} horizonRow - First row of water
+   * @returns {Object} Frame from WaveEngine.sampleLayers
+   */
+  sampleLayers(horizonRow) {
+    if (this.worker && !this.worker.failed) {
+      const frame = this.worker.getFrame(this.gridWidth, this.gridHeight, horizonRow);
+      this.worker.request(this.gridWidth, this.gridHeight, horizonRow);
+      if (frame) return frame;
+    }
+    return this.waveEngine.sampleLayers(this.gridWidth, this.gridHeight, horizonRow);
+  }
+
+  /**
+   * Draw one layer of a frame
+   * @param {Object} frame - Frame from WaveEngine.sampleLayers
+   * @param {number} layer - Layer index
+   * @param {Object} style - Layer style from getLayerStyle
+   */
+  drawLayer(frame, layer, style) {
+    const cellCount = frame.width * frame.height;
+    const offset = layer * cellCount;
+    const layerDepth = layer / Math.max(frame.layers, 1);
+
+    for (let cell = frame.startRow * frame.width; cell < cellCount; cell++) {
+      const index = offset + cell;
+      const codePoint = frame.chars[index];
+
+      // Skip rendering space characters (optimization)
+      if (codePoint === 32) continue;
+
+      const [r, g, b] = Palette.calculateColor(frame.values[index], layerDepth, style.wave, style.visual, frame.surfaces[index], style.foamThreshold);
+      this.drawChar(codePoint, r, g, b, cell % frame.width, Math.floor(cell / frame.width));
+    }
+  }
+
+  /**
+   * Draw a character into a grid cell
+   * @param {number} codePoint - Character code point
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @param {number} gridX - Grid column
+   * @param {number} gridY - Grid row
+   */
+  drawChar(codePoint, r, g, b, gridX, gridY) {
+    const x = gridX * this.cellSize;
+    const y = gridY * this.cellSize;
+    this.recordChar(codePoint, r, g, b, gridX, gridY);
+
+    if (this.atlas) {
+      this.atlas.draw(this.ctx, codePoint, r, g, b, x, y);
+      return;
+    }
+
+    this.ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+    this.ctx.fillText(String.fromCodePoint(codePoint), x, y);
+  }
+
+  /**
+   * Draw the sky gradient, sun or moon, stars and clouds
+   * @param {number} horizonRow - First grid row below the horizon
+   */
+  drawSky(horizonRow) {
+    const sky = this.waveEngine.sky;
+    const cellSize = this.cellSize;
+    const skyHeight = horizonRow * cellSize;
+
+    const gradient = this.ctx.createLinearGradient(0, 0, 0, skyHeight);
+    gradient.addColorStop(0, sky.config.topColor);
+    gradient.addColorStop(1, sky.config.bottomColor);
+    this.ctx.fillStyle = gradient;
+    this.ctx.fillRect(0, 0, this.canvas.width, skyHeight);
+
+    for (let gridY = 0; gridY < horizonRow; gridY++) {
+      for (let gridX = 0; gridX < this.gridWidth; gridX++) {
+        const cell = sky.sample(gridX, gridY, this.gridWidth, this.gridHeight, this.waveEngine.time);
+        if (cell.char === ' ') continue;
+
+        const [r, g, b] = sky.calculateColor(gridY / horizonRow, cell.surface);
+        this.drawChar(cell.char.codePointAt(0), r, g, b, gridX, gridY);
+      }
+    }
+  }
+
+  /**
+   * Draw the floating objects riding one layer
+   * Each cell is cleared first so the object hides the water behind it,
+   * and cells behind a nearer crest are skipped.
+   * @param {Map<number, Object>} cells - Cells from WaveEngine.layoutFloaters
+   * @param {number} layer - Layer index
+   * @param {number} horizonRow - First grid row below the horizon
+   */
+  drawFloaters(cells, layer, horizonRow) {
+    const cellSize = this.cellSize;
+    const layerDepth = layer / Math.max(this.waveEngine.config.layers, 1);
+    const [r, g, b] = this.waveEngine.floaters.calculateColor(layerDepth, this.waveEngine.config.depthEffect);
+    const [bgR, bgG, bgB] = this.getBackgroundColor();
+
+    this.ctx.globalAlpha = 1;
+
+    cells.forEach((cell, index) => {
+      if (cell.layer !== layer) return;
+
+      const gridX = index % this.gridWidth;
+      const gridY = Math.floor(index / this.gridWidth);
+      const inSky = gridY < horizonRow;
+      if (!inSky && this.waveEngine.isCovered(gridX, gridY, this.gridWidth, this.gridHeight, layer)) return;
+
+      const [clearR, clearG, clearB] = inSky ? this.waveEngine.sky.getGradientColor(gridY / horizonRow) : [bgR, bgG, bgB];
+      this.ctx.fillStyle = `rgb(${clearR}, ${clearG}, ${clearB})`;
+      this.ctx.fillRect(gridX * cellSize, gridY * cellSize, cellSize, cellSize);
+      this.drawn.colors.set([clearR, clearG, clearB], (gridY * this.gridWidth + gridX) * 3);
+
+      this.drawChar(cell.char.codePointAt(0), r, g, b, gridX, gridY);
+    });
+  }
+
+  /**
+   * Advance weather particles and lightning; weather holds still while paused
+   * @param {number} deltaTime - Time elapsed (seconds)
+   */
+  updateWeather(deltaTime) {
+    this.weather.update(
+      this.waveEngine.paused ? 0 : deltaTime,
+      this.waveEngine.getWind(),
+      this.gridWidth,
+      this.gridHeight,
+      this.waveEngine.config.noiseSeed
+    );
+  }
+
+  /**
+   * Draw one pass of fog banks over the water
+   * @param {number} horizonRow - First grid row below the horizon
+   */
+  drawFog(horizonRow) {
+    // Gradient stops across the screen, and the most opacity one pass adds
+    const stops = 8;
+    const maxOpacity = 0.3;
+
+    const top = horizonRow * this.cellSize;
+    const [r, g, b] = Utils.hslToRgb(this.config.hue, 0.15, 0.55);
+    const gradient = this.ctx.createLinearGradient(0, 0, this.canvas.width, 0);
+    const densities = [];
+
+    for (let i = 0; i <= stops; i++) {
+      const density = this.weather.getFogDensity(i / stops) * maxOpacity;
+      gradient.addColorStop(i / stops, `rgba(${r}, ${g}, ${b}, ${density})`);
+      densities.push(density);
+    }
+
+    this.ctx.fillStyle = gradient;
+    this.ctx.fillRect(0, top, this.canvas.width, this.canvas.height - top);
+
+    // The gradient's density at the middle of each column
+    this.overlayDrawn(horizonRow, (gridX) => {
+      const position = Math.min(1, (gridX + 0.5) * this.cellSize / this.canvas.width) * stops;
+      const stop = Math.min(Math.floor(position), stops - 1);
+      return [r, g, b, Utils.lerp(densities[stop], densities[stop + 1], position - stop)];
+    });
+  }
+
+  /**
+   * Draw rain, snow, the lightning bolt and its flash
+   */
+  drawWeather() {
+    const weather = this.weather;
+
+    if (weather.particles.length > 0) {
+      const rainColor = Utils.hslToRgb(this.config.hue, 0.3, 0.75);
+      const snowColor = [240, 244, 255];
+
+      weather.particles.forEach(particle => {
+        if (particle.y < 0) return;
+        const rain = particle.type === 'rain';
+        const [r, g, b] = rain ? rainColor : snowColor;
+        this.ctx.globalAlpha = rain ? 0.7 : 0.9;
+        this.drawChar(weather.getParticleChar(particle).codePointAt(0), r, g, b, Math.floor(particle.x), Math.floor(particle.y));
+      });
+      this.ctx.globalAlpha = 1;
+    }
+
+    if (weather.flash > 0) {
+      // The bolt shows during the brightest part of the flash
+      if (weather.flash > 0.5) {
+        weather.bolt.forEach(cell => {
+          this.drawChar(cell.char.codePointAt(0), 255, 255, 255, cell.x, cell.y);
+        });
+      }
+
+      // Screen blending lifts every color, lighting up the whole palette
+      const flash = weather.flash * 0.5;
+      this.ctx.globalCompositeOperation = 'screen';
+      this.ctx.fillStyle = `rgba(200, 210, 255, ${flash})`;
+      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+      this.ctx.globalCompositeOperation = 'source-over';
+      this.overlayDrawn(0, () => [200, 210, 255, flash], true);
+    }
   }
 
   /**
    * Start rendering loop
    */
   start() {
+    let lastRefresh = 0;
     const animate = (timestamp) => {
-      this.render(timestamp);
+      if (lastRefresh) {
+        this.quality.measureRefresh(timestamp - lastRefresh);
+      }
+      lastRefresh = timestamp;
+
+      // Adaptive quality may cap the frame rate; skipped frames keep the
+      // last one on screen
+      if (this.quality.isFrameDue(timestamp - this.lastTime)) {
+        this.render(timestamp);
+      }
       this.animationId = requestAnimationFrame(animate);
     };
     this.animationId = requestAnimationFrame(animate);
@@ -192,7 +732,7 @@ class Renderer {
    * @returns {Object} Current configuration
    */
   getConfig() {
-    return { ...this.config };
+    return { ...this.config, gradient: this.config.gradient.map(stop => ({ ...stop })) };
   }
 
   /**
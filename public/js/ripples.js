@@ -0,0 +1,244 @@
+/**
+ * Ripple Field
+ * 2D height-field simulation of circular ripples from pointer input
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./utils.js'));
+  } else {
+    root.RippleField = factory(root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Utils) {
+  'use strict';
+
+  // Simulation steps per unit of animation time
+  const STEP_RATE = 60;
+
+  // Most steps simulated per update, so a long frame can't stall the page
+  const MAX_STEPS = 8;
+
+  // Peak height of a disturbance at strength 1; the bump flattens quickly as
+  // it spreads into a ring, so it starts well above the wave amplitude
+  const DISTURBANCE_HEIGHT = 4;
+
+  // Below this height everywhere the field is treated as flat
+  const REST_THRESHOLD = 0.001;
+
+  /**
+   * Stretch a height field to a new size with bilinear interpolation
+   * @param {Float32Array} values - Heights, row by row
+   * @param {number} fromWidth - Width of values in cells
+   * @param {number} fromHeight - Height of values in cells
+   * @param {number} width - New width in cells
+   * @param {number} height - New height in cells
+   * @returns {Float32Array} Resampled heights
+   */
+  function resample(values, fromWidth, fromHeight, width, height) {
+    const resampled = new Float32Array(width * height);
+
+    for (let cellY = 0; cellY < height; cellY++) {
+      const fieldY = Utils.clamp((cellY + 0.5) / height * fromHeight - 0.5, 0, fromHeight - 1);
+      const y0 = Math.floor(fieldY);
+      const y1 = Math.min(y0 + 1, fromHeight - 1);
+      const ty = fieldY - y0;
+
+      for (let cellX = 0; cellX < width; cellX++) {
+        const fieldX = Utils.clamp((cellX + 0.5) / width * fromWidth - 0.5, 0, fromWidth - 1);
+        const x0 = Math.floor(fieldX);
+        const x1 = Math.min(x0 + 1, fromWidth - 1);
+        const tx = fieldX - x0;
+
+        const top = Utils.lerp(values[y0 * fromWidth + x0], values[y0 * fromWidth + x1], tx);
+        const bottom = Utils.lerp(values[y1 * fromWidth + x0], values[y1 * fromWidth + x1], tx);
+        resampled[cellY * width + cellX] = Utils.lerp(top, bottom, ty);
+      }
+    }
+
+    return resampled;
+  }
+
+  class RippleField {
+    /**
+     * @param {number} width - Field width in cells
+     * @param {number} height - Field height in cells
+     * @param {Object} config - Ripple settings
+     * @param {number} config.strength - Height of a disturbance (0-3)
+     * @param {number} config.damping - How quickly ripples fade (0-1)
+     * @param {number} config.speed - How fast ripples spread (0.1-1)
+     */
+    constructor(width = 80, height = 45, config = {}) {
+      this.config = {
+        strength: 1.0,
+        damping: 0.3,
+        speed: 0.5,
+        ...config
+      };
+
+      this.width = 0;
+      this.height = 0;
+      this.active = false;
+      this.accumulator = 0;
+      this.resize(width, height);
+    }
+
+    /**
+     * Update configuration
+     * @param {Object} newConfig - New configuration values
+     */
+    updateConfig(newConfig) {
+      Object.assign(this.config, newConfig);
+    }
+
+    /**
+     * Resize the field
+     * Active ripples are stretched to the new size, so they keep their place
+     * on screen when the cell size changes.
+     * @param {number} width - Field width in cells
+     * @param {number} height - Field height in cells
+     */
+    resize(width, height) {
+      width = Math.max(1, Math.round(width));
+      height = Math.max(1, Math.round(height));
+      if (width === this.width && height === this.height) return;
+
+      if (this.active) {
+        this.current = resample(this.current, this.width, this.height, width, height);
+        this.previous = resample(this.previous, this.width, this.height, width, height);
+      } else {
+        this.current = new Float32Array(width * height);
+        this.previous = new Float32Array(width * height);
+      }
+      this.width = width;
+      this.height = height;
+    }
+
+    /**
+     * Remove all ripples
+     */
+    clear() {
+      this.current.fill(0);
+      this.previous.fill(0);
+      this.active = false;
+    }
+
+    /**
+     * Drop a disturbance into the field
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @param {number} y - Y coordinate (0-1 normalized)
+     * @param {number} strength - Height multiplier (1 = config.strength)
+     * @param {number} radius - Radius in cells
+     */
+    disturb(x, y, strength = 1, radius = 3) {
+      const centerX = x * this.width;
+      const centerY = y * this.height;
+      const height = DISTURBANCE_HEIGHT * this.config.strength * strength;
+
+      const minX = Math.max(0, Math.floor(centerX - radius));
+      const maxX = Math.min(this.width - 1, Math.ceil(centerX + radius));
+      const minY = Math.max(0, Math.floor(centerY - radius));
+      const maxY = Math.min(this.height - 1, Math.ceil(centerY + radius));
+
+      for (let cellY = minY; cellY <= maxY; cellY++) {
+        for (let cellX = minX; cellX <= maxX; cellX++) {
+          const distance = Math.hypot(cellX + 0.5 - centerX, cellY + 0.5 - centerY);
+          if (distance >= radius) continue;
+
+          // Smooth cosine bump, highest at the centre. Raising both states
+          // starts the water at rest, so the bump spreads out instead of drifting
+          const bump = height * (0.5 + 0.5 * Math.cos(distance / radius * Math.PI));
+          const index = cellY * this.width + cellX;
+          this.current[index] += bump;
+          this.previous[index] += bump;
+        }
+      }
+
+      this.active = true;
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} deltaTime - Animation time elapsed
+     */
+    update(deltaTime) {
+      if (!this.active) {
+        this.accumulator = 0;
+        return;
+      }
+
+      this.accumulator += deltaTime * STEP_RATE;
+      const steps = Math.min(Math.floor(this.accumulator), MAX_STEPS);
+      this.accumulator = steps === MAX_STEPS ? 0 : this.accumulator - steps;
+
+      for (let i = 0; i < steps && this.active; i++) {
+        this.step();
+      }
+    }
+
+    /**
+     * Run one step of the discrete wave equation
+     * Edge cells mirror their inner neighbour, so ripples reflect off the sides.
+     */
+    step() {
+      const { width, height, current, previous } = this;
+      // Courant number squared; kept below 0.5 for a stable simulation
+      const speed = Utils.clamp(this.config.speed, 0.1, 1) ** 2 * 0.45;
+      const damping = 1 - Utils.clamp(this.config.damping, 0, 1) * 0.05;
+      let peak = 0;
+
+      for (let y = 0; y < height; y++) {
+        const row = y * width;
+        const up = (y > 0 ? y - 1 : y) * width;
+        const down = (y < height - 1 ? y + 1 : y) * width;
+
+        for (let x = 0; x < width; x++) {
+          const left = x > 0 ? x - 1 : x;
+          const right = x < width - 1 ? x + 1 : x;
+          const index = row + x;
+          const value = current[index];
+
+          const laplacian = current[row + left] + current[row + right] +
+            current[up + x] + current[down + x] - 4 * value;
+
+          // Write the next state over the previous one, then swap buffers
+          const next = (2 * value - previous[index] + speed * laplacian) * damping;
+          previous[index] = next;
+          peak = Math.max(peak, Math.abs(next));
+        }
+      }
+
+      this.current = previous;
+      this.previous = current;
+
+      if (peak < REST_THRESHOLD) {
+        this.clear();
+      }
+    }
+
+    /**
+     * Sample ripple height with bilinear interpolation
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @param {number} y - Y coordinate (0-1 normalized)
+     * @returns {number} Ripple height (0 when the field is flat)
+     */
+    sample(x, y) {
+      if (!this.active) return 0;
+
+      const fieldX = Utils.clamp(x * this.width - 0.5, 0, this.width - 1);
+      const fieldY = Utils.clamp(y * this.height - 0.5, 0, this.height - 1);
+      const x0 = Math.floor(fieldX);
+      const y0 = Math.floor(fieldY);
+      const x1 = Math.min(x0 + 1, this.width - 1);
+      const y1 = Math.min(y0 + 1, this.height - 1);
+      const tx = fieldX - x0;
+      const ty = fieldY - y0;
+
+      const top = Utils.lerp(this.current[y0 * this.width + x0], this.current[y0 * this.width + x1], tx);
+      const bottom = Utils.lerp(this.current[y1 * this.width + x0], this.current[y1 * this.width + x1], tx);
+      return Utils.lerp(top, bottom, ty);
+    }
+  }
+
+  return RippleField;
+});
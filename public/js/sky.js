@@ -0,0 +1,225 @@
+/**
+ * Sky
+ * Sky above the horizon: gradient, sun or moon, twinkling stars and drifting clouds
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./noise.js'), require('./utils.js'));
+  } else {
+    root.Sky = factory(root.SimplexNoise, root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (SimplexNoise, Utils) {
+  'use strict';
+
+  const DEFAULTS = {
+    horizon: 0,
+    topColor: '#0a1a3a',
+    bottomColor: '#4a7ab0',
+    body: 'sun',
+    bodyX: 0.75,
+    bodyY: 0.5,
+    stars: 0,
+    clouds: 0.3,
+    cloudColor: '#ffffff',
+    cloudSpeed: 0.5
+  };
+
+  // Surface types for sky cells, numbered after the water and beach types
+  const SURFACE = {
+    SKY: 4,
+    STAR: 5,
+    CLOUD: 6,
+    BODY: 7
+  };
+
+  // Sun and moon sprites; spaces are transparent
+  const SPRITES = {
+    sun: [
+      '  \\  |  /  ',
+      '   .-"-.   ',
+      '--(     )--',
+      '   `-.-\'   ',
+      '  /  |  \\  '
+    ],
+    moon: [
+      '  .--. ',
+      ' /  .\' ',
+      '|  (   ',
+      ' \\  \'. ',
+      '  \'--\' '
+    ]
+  };
+
+  // Cloud characters, thin to thick, and star characters, dim to bright
+  const CLOUD_CHARS = ['.', '-', '~', '='];
+  const STAR_CHARS = ['.', '.', '.', '+', '*'];
+
+  const STAR_COLOR = [255, 252, 235];
+  const BODY_COLORS = { sun: [255, 214, 120], moon: [235, 238, 255] };
+
+  // Star twinkle steps per unit of animation time
+  const TWINKLE_RATE = 3;
+
+  class Sky {
+    constructor(config = {}) {
+      this.config = { ...DEFAULTS, ...config };
+      this.setSeed(0);
+    }
+
+    /**
+     * Update configuration
+     * @param {Object} newConfig - New configuration values
+     */
+    updateConfig(newConfig) {
+      Object.assign(this.config, newConfig);
+    }
+
+    /**
+     * Replace the configuration, filling unspecified settings with defaults
+     * @param {Object} config - Sky configuration (omit for no sky)
+     */
+    reset(config = {}) {
+      this.config = { ...DEFAULTS, ...config };
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current configuration
+     */
+    getConfig() {
+      return { ...this.config };
+    }
+
+    /**
+     * Set the seed for stars and clouds
+     * @param {number} seed - Noise seed
+     */
+    setSeed(seed) {
+      this.seed = seed;
+      this.noise = new SimplexNoise(seed + 1);
+    }
+
+    /**
+     * Get the first grid row below the horizon
+     * @param {number} height - Grid height in cells
+     * @returns {number} Number of sky rows (0 when there is no sky)
+     */
+    getHorizonRow(height) {
+      return Math.round(Utils.clamp(this.config.horizon, 0, 0.9) * height);
+    }
+
+    /**
+     * Sample a sky cell
+     * Clouds drift in front of the sun, moon and stars.
+     * @param {number} cellX - Grid column
+     * @param {number} cellY - Grid row (above the horizon)
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @param {number} time - Animation time
+     * @returns {Object} Surface type (Sky.SURFACE) and character
+     */
+    sample(cellX, cellY, width, height, time) {
+      const horizonRow = this.getHorizonRow(height);
+
+      // Clouds: two octaves of noise stretched horizontally
+      if (this.config.clouds > 0) {
+        const drift = time * this.config.cloudSpeed * 0.1;
+        const x = cellX / width * 4 - drift;
+        const y = cellY / height * 12;
+        const n = this.noise.noise2D(x, y) * 0.65 + this.noise.noise2D(x * 2.3, y * 2.3) * 0.35;
+        const density = (n + 1) / 2;
+        const threshold = 1 - Utils.clamp(this.config.clouds, 0, 1) * 0.7;
+
+        if (density > threshold) {
+          const level = (density - threshold) / (1 - threshold);
+          const index = Math.min(Math.floor(level * 2 * CLOUD_CHARS.length), CLOUD_CHARS.length - 1);
+          return { surface: SURFACE.CLOUD, char: CLOUD_CHARS[index] };
+        }
+      }
+
+      // Sun or moon sprite
+      const sprite = SPRITES[this.config.body];
+      if (sprite) {
+        const top = Math.round(this.config.bodyY * horizonRow) - Math.floor(sprite.length / 2);
+        const left = Math.round(this.config.bodyX * width) - Math.floor(sprite[0].length / 2);
+        const row = sprite[cellY - top];
+        const char = row && row[cellX - left];
+        if (char && char !== ' ') {
+          return { surface: SURFACE.BODY, char };
+        }
+      }
+
+      // Twinkling stars, fading out towards the horizon
+      if (this.config.stars > 0 && cellY < horizonRow * 0.85) {
+        const chance = Utils.hashRandom(this.seed, cellX, cellY, 1);
+        if (chance < this.config.stars * 0.05) {
+          const twinkle = Utils.hashRandom(this.seed, cellX, cellY, Math.floor(time * TWINKLE_RATE));
+          return { surface: SURFACE.STAR, char: STAR_CHARS[Math.floor(twinkle * STAR_CHARS.length)] };
+        }
+      }
+
+      return { surface: SURFACE.SKY, char: ' ' };
+    }
+
+    /**
+     * Get the sky gradient color
+     * @param {number} position - Position from the top of the sky (0) to the horizon (1)
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    getGradientColor(position) {
+      const top = Utils.hexToRgb(this.config.topColor);
+      const bottom = Utils.hexToRgb(this.config.bottomColor);
+      const t = Utils.clamp(position, 0, 1);
+      return top.map((channel, i) => Math.round(Utils.lerp(channel, bottom[i], t)));
+    }
+
+    /**
+     * Calculate color for a sky cell
+     * @param {number} position - Position from the top of the sky (0) to the horizon (1)
+     * @param {number} surface - Surface type from sample
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    calculateColor(position, surface) {
+      const gradient = this.getGradientColor(position);
+      const mix = (color, amount) => gradient.map((channel, i) => Math.round(Utils.lerp(channel, color[i], amount)));
+
+      switch (surface) {
+        case SURFACE.STAR:
+          return mix(STAR_COLOR, 0.85);
+        case SURFACE.CLOUD:
+          return mix(Utils.hexToRgb(this.config.cloudColor), 0.6);
+        case SURFACE.BODY:
+          return BODY_COLORS[this.config.body] || STAR_COLOR;
+        default:
+          return gradient;
+      }
+    }
+
+    /**
+     * Colors the sky draws with, for indexed palettes such as GIF
+     * @param {number} count - Number of colors
+     * @returns {Array<Array>} Array of [r, g, b] colors
+     */
+    getPaletteColors(count = 32) {
+      const colors = [];
+      const steps = count - 4;
+      for (let i = 0; i < steps; i++) {
+        colors.push(this.getGradientColor(i / (steps - 1)));
+      }
+      colors.push(
+        this.calculateColor(0.2, SURFACE.CLOUD),
+        this.calculateColor(0.8, SURFACE.CLOUD),
+        this.calculateColor(0.5, SURFACE.STAR),
+        this.calculateColor(0.5, SURFACE.BODY)
+      );
+      return colors;
+    }
+  }
+
+  Sky.DEFAULTS = DEFAULTS;
+  Sky.SURFACE = SURFACE;
+
+  return Sky;
+});
@@ -0,0 +1,155 @@
+/**
+ * Soundscape
+ * Ambient ocean sound synthesized with Web Audio from the wave engine's state
+ */
+
+class Soundscape {
+  /**
+   * @param {WaveEngine} waveEngine - Wave engine to listen to
+   */
+  constructor(waveEngine) {
+    this.waveEngine = waveEngine;
+    this.config = {
+      muted: true,
+      volume: 0.5
+    };
+
+    this.context = null;
+    this.master = null;
+    this.voices = null;
+    this.foam = 0;
+    this.time = 0;
+  }
+
+  /**
+   * Update configuration, starting the sound the first time it is unmuted
+   * Browsers only allow audio to start from a user gesture, so unmute from
+   * an input handler.
+   * @param {Object} newConfig - New configuration values
+   */
+  updateConfig(newConfig) {
+    Object.assign(this.config, newConfig);
+
+    if (!this.config.muted && !this.context) {
+      this.setupGraph();
+    }
+    if (this.context && this.context.state === 'suspended' && !this.config.muted) {
+      this.context.resume();
+    }
+    if (this.master) {
+      this.master.gain.setTargetAtTime(this.getMasterGain(), this.context.currentTime, 0.1);
+    }
+  }
+
+  /**
+   * Get current configuration
+   * @returns {Object} Current configuration
+   */
+  getConfig() {
+    return { ...this.config };
+  }
+
+  /**
+   * Get the overall output level
+   * @returns {number} Gain (0-1)
+   */
+  getMasterGain() {
+    return this.config.muted ? 0 : Utils.clamp(this.config.volume, 0, 1) * 0.6;
+  }
+
+  /**
+   * Build the audio graph: one looping noise source shaped by three filters
+   * into surf, crashing foam and wind
+   */
+  setupGraph() {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    this.context = context;
+
+    // Two seconds of white noise, looped
+    const buffer = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+    const samples = buffer.getChannelData(0);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = Math.random() * 2 - 1;
+    }
+    const noise = context.createBufferSource();
+    noise.buffer = buffer;
+    noise.loop = true;
+
+    this.master = context.createGain();
+    this.master.gain.value = 0;
+    this.master.connect(context.destination);
+
+    const voice = (type, frequency, q) => {
+      const filter = context.createBiquadFilter();
+      filter.type = type;
+      filter.frequency.value = frequency;
+      filter.Q.value = q;
+      const gain = context.createGain();
+      gain.gain.value = 0;
+      noise.connect(filter);
+      filter.connect(gain);
+      gain.connect(this.master);
+      return { filter, gain };
+    };
+
+    this.voices = {
+      // Low rumble of the swell
+      surf: voice('lowpass', 400, 0.5),
+      // Hiss of breaking foam
+      crash: voice('bandpass', 1200, 0.6),
+      // Thin whistle over the water
+      wind: voice('bandpass', 1500, 4)
+    };
+
+    noise.start();
+    this.master.gain.setTargetAtTime(this.getMasterGain(), context.currentTime, 0.1);
+  }
+
+  /**
+   * Follow the waves: called once per rendered frame
+   * The sea falls silent while the animation is paused.
+   * @param {number} deltaTime - Time elapsed (seconds)
+   */
+  update(deltaTime) {
+    if (!this.voices || this.config.muted) return;
+
+    const engine = this.waveEngine;
+    const config = engine.config;
+    const now = this.context.currentTime;
+    this.time += deltaTime;
+
+    let surf = 0;
+    let crash = 0;
+    let wind = 0;
+    let surfFrequency = 400;
+    let windFrequency = 1500;
+
+    if (!engine.paused) {
+      const { foam, swell } = engine.getSeaState();
+
+      // Surf swells and opens up as a wave rises in front of the viewer
+      surf = Utils.clamp(config.amplitude / 2, 0.1, 1) * (0.3 + swell * 0.7);
+      surfFrequency = 250 + swell * 900;
+
+      // Crashes get louder with foam, with a burst whenever foam spreads
+      const rise = Math.max(0, foam - this.foam);
+      this.foam = Utils.lerp(this.foam, foam, Math.min(1, deltaTime * 2));
+      crash = Utils.clamp(foam * 0.8 + rise * 6, 0, 1);
+
+      // Wind picks up with speed, choppiness and the wind setting, and gusts
+      const gust = 0.75 + 0.25 * Math.sin(this.time * 0.7) * Math.sin(this.time * 0.23);
+      wind = Utils.clamp(config.speed * 0.15 + config.choppiness * 0.3 + engine.getWind().strength * 0.5, 0, 1) * gust;
+      windFrequency = 900 + config.speed * 500 + gust * 600;
+    }
+
+    this.voices.surf.gain.gain.setTargetAtTime(surf * 0.9, now, 0.3);
+    this.voices.surf.filter.frequency.setTargetAtTime(surfFrequency, now, 0.3);
+    this.voices.crash.gain.gain.setTargetAtTime(crash * 0.6, now, 0.15);
+    this.voices.wind.gain.gain.setTargetAtTime(wind * 0.5, now, 0.5);
+    this.voices.wind.filter.frequency.setTargetAtTime(windFrequency, now, 0.5);
+  }
+}
+
+// Export for use in other modules
+window.Soundscape = Soundscape;
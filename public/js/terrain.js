@@ -0,0 +1,175 @@
+/**
+ * Terrain
+ * Depth mask marking sand, shallow water and deep water for shoreline scenes
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./noise.js'), require('./utils.js'));
+  } else {
+    root.Terrain = factory(root.SimplexNoise, root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (SimplexNoise, Utils) {
+  'use strict';
+
+  // Mask resolution; samples are interpolated between cells
+  const RESOLUTION = 128;
+
+  // Depth of the still waterline: lower depths are beach, higher are water
+  const WATERLINE = 0.3;
+
+  // Distance from the waterline out to deep water (fraction of the screen)
+  const SHELF_WIDTH = 0.35;
+
+  // Surface types for a sampled cell
+  const SURFACE = {
+    WATER: 0,
+    SURF: 1,
+    WET_SAND: 2,
+    SAND: 3
+  };
+
+  class Terrain {
+    constructor() {
+      this.width = RESOLUTION;
+      this.height = RESOLUTION;
+      this.depths = null;
+    }
+
+    /**
+     * Check whether a mask has been generated or loaded
+     * @returns {boolean} True if the terrain can be sampled
+     */
+    isReady() {
+      return this.depths !== null;
+    }
+
+    /**
+     * Remove the mask
+     */
+    clear() {
+      this.depths = null;
+    }
+
+    /**
+     * Generate a procedural beach along one edge of the screen
+     * @param {Object} options - Generation options
+     * @param {string} options.side - Edge the beach lies along: left, right, top or bottom
+     * @param {number} options.beachWidth - Beach width as a fraction of the screen (0-0.6)
+     * @param {number} options.roughness - How much the coastline wanders (0-1)
+     * @param {number} options.seed - Noise seed
+     */
+    generate(options = {}) {
+      const { side = 'left', beachWidth = 0.25, roughness = 0.5, seed = 0 } = options;
+      const noise = new SimplexNoise(seed);
+      const depths = new Float32Array(this.width * this.height);
+
+      for (let gridY = 0; gridY < this.height; gridY++) {
+        for (let gridX = 0; gridX < this.width; gridX++) {
+          const x = gridX / (this.width - 1);
+          const y = gridY / (this.height - 1);
+
+          // Distance inland from the beach edge, and position along the coast
+          let distance, along;
+          switch (side) {
+            case 'right': distance = 1 - x; along = y; break;
+            case 'top': distance = y; along = x; break;
+            case 'bottom': distance = 1 - y; along = x; break;
+            default: distance = x; along = y;
+          }
+
+          // Wandering coastline with small sandbars offshore
+          const coast = Math.max(beachWidth + noise.noise2D(along * 3, 0) * roughness * 0.08, 0.01);
+          const bars = noise.noise2D(x * 8, y * 8) * roughness * 0.04;
+
+          let depth;
+          if (distance < coast) {
+            depth = WATERLINE * distance / coast;
+          } else {
+            depth = WATERLINE + (distance - coast) / SHELF_WIDTH * (1 - WATERLINE);
+          }
+
+          depths[gridY * this.width + gridX] = Utils.clamp(depth + bars, 0, 1);
+        }
+      }
+
+      this.depths = depths;
+    }
+
+    /**
+     * Pack the mask into a string for storage, one byte per cell
+     * @returns {string|null} Base64 depths, or null if there is no mask
+     */
+    toBase64() {
+      if (!this.depths) return null;
+
+      let binary = '';
+      this.depths.forEach(depth => {
+        binary += String.fromCharCode(Math.round(depth * 255));
+      });
+      return btoa(binary);
+    }
+
+    /**
+     * Load a mask packed by toBase64
+     * @param {string} base64 - Base64 depths
+     */
+    loadBase64(base64) {
+      const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+      if (bytes.length !== this.width * this.height) {
+        throw new Error(`Expected ${this.width * this.height} depths, got ${bytes.length}`);
+      }
+      this.depths = Float32Array.from(bytes, byte => byte / 255);
+    }
+
+    /**
+     * Load the mask from a grayscale image: white is dry sand, black is deep water
+     * @param {Object} imageData - ImageData-like object with width, height and RGBA data
+     */
+    loadImageData(imageData) {
+      const { width, height, data } = imageData;
+      const depths = new Float32Array(this.width * this.height);
+
+      for (let gridY = 0; gridY < this.height; gridY++) {
+        for (let gridX = 0; gridX < this.width; gridX++) {
+          const sourceX = Math.min(Math.floor(gridX / this.width * width), width - 1);
+          const sourceY = Math.min(Math.floor(gridY / this.height * height), height - 1);
+          const i = (sourceY * width + sourceX) * 4;
+          const luminance = (data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114) / 255;
+          depths[gridY * this.width + gridX] = 1 - luminance;
+        }
+      }
+
+      this.depths = depths;
+    }
+
+    /**
+     * Sample depth with bilinear interpolation
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @param {number} y - Y coordinate (0-1 normalized)
+     * @returns {number} Depth (0 = dry beach, WATERLINE = shore, 1 = deep water)
+     */
+    sample(x, y) {
+      if (!this.depths) return 1;
+
+      const fieldX = Utils.clamp(x, 0, 1) * (this.width - 1);
+      const fieldY = Utils.clamp(y, 0, 1) * (this.height - 1);
+      const x0 = Math.floor(fieldX);
+      const y0 = Math.floor(fieldY);
+      const x1 = Math.min(x0 + 1, this.width - 1);
+      const y1 = Math.min(y0 + 1, this.height - 1);
+      const tx = fieldX - x0;
+      const ty = fieldY - y0;
+
+      const top = Utils.lerp(this.depths[y0 * this.width + x0], this.depths[y0 * this.width + x1], tx);
+      const bottom = Utils.lerp(this.depths[y1 * this.width + x0], this.depths[y1 * this.width + x1], tx);
+      return Utils.lerp(top, bottom, ty);
+    }
+  }
+
+  Terrain.WATERLINE = WATERLINE;
+  Terrain.SURFACE = SURFACE;
+
+  return Terrain;
+});
@@ -0,0 +1,168 @@
+/**
+ * Timeline
+ * Keyframe animation of wave and visual parameters over time
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./utils.js'));
+  } else {
+    root.Timeline = factory(root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Utils) {
+  'use strict';
+
+  /**
+   * Easing curves, each mapping progress (0-1) to eased progress (0-1)
+   */
+  const easings = {
+    linear: (t) => t,
+    easeIn: (t) => t * t,
+    easeOut: (t) => t * (2 - t),
+    easeInOut: (t) => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+    step: () => 0
+  };
+
+  // Parameters that can be animated: the numeric settings offered in the
+  // timeline panel. Others (layer count, cell size, seed) can't take the
+  // fractional values in between keyframes.
+  const PARAMETERS = [
+    'amplitude', 'speed', 'frequency', 'choppiness', 'foamThreshold', 'depthEffect',
+    'windDirection', 'windStrength',
+    'hue', 'saturation', 'brightness', 'contrast', 'vignetteIntensity', 'vignetteRadius'
+  ];
+
+  class Timeline {
+    constructor() {
+      this.enabled = true;
+      // Keyframes per parameter, sorted by time
+      this.tracks = Object.create(null);
+    }
+
+    /**
+     * Add a keyframe, replacing any existing keyframe for the parameter at the same time
+     * The easing controls the curve from this keyframe to the next one.
+     * Parameters that can't be animated are ignored.
+     * @param {string} param - Parameter name from Timeline.PARAMETERS (e.g. 'amplitude', 'hue')
+     * @param {number} time - Animation time
+     * @param {number} value - Parameter value
+     * @param {string} easing - Easing curve name
+     */
+    addKeyframe(param, time, value, easing = 'linear') {
+      if (!PARAMETERS.includes(param)) return;
+      if (!easings[easing]) {
+        easing = 'linear';
+      }
+
+      const track = (this.tracks[param] = this.tracks[param] || []);
+      const existing = track.findIndex(keyframe => keyframe.time === time);
+      const keyframe = { time, value, easing };
+
+      if (existing >= 0) {
+        track[existing] = keyframe;
+      } else {
+        track.push(keyframe);
+        track.sort((a, b) => a.time - b.time);
+      }
+    }
+
+    /**
+     * Remove a keyframe
+     * @param {string} param - Parameter name
+     * @param {number} index - Keyframe index within the parameter's track
+     */
+    removeKeyframe(param, index) {
+      const track = this.tracks[param];
+      if (!track) return;
+
+      track.splice(index, 1);
+      if (track.length === 0) {
+        delete this.tracks[param];
+      }
+    }
+
+    /**
+     * Remove all keyframes
+     */
+    clear() {
+      this.tracks = Object.create(null);
+    }
+
+    /**
+     * Check whether the timeline has any keyframes
+     * @returns {boolean} True if there are no keyframes
+     */
+    isEmpty() {
+      return Object.keys(this.tracks).length === 0;
+    }
+
+    /**
+     * Evaluate every animated parameter at a given time
+     * Before the first keyframe and after the last, values hold steady.
+     * @param {number} time - Animation time
+     * @returns {Object} Map of parameter name to value
+     */
+    evaluate(time) {
+      const values = {};
+
+      Object.entries(this.tracks).forEach(([param, track]) => {
+        if (time <= track[0].time) {
+          values[param] = track[0].value;
+          return;
+        }
+
+        const last = track[track.length - 1];
+        if (time >= last.time) {
+          values[param] = last.value;
+          return;
+        }
+
+        let i = 0;
+        while (track[i + 1].time < time) i++;
+
+        const from = track[i];
+        const to = track[i + 1];
+        const progress = (time - from.time) / (to.time - from.time);
+        values[param] = Utils.lerp(from.value, to.value, easings[from.easing](progress));
+      });
+
+      return values;
+    }
+
+    /**
+     * Serialize for configs and share URLs
+     * @returns {Object} Plain timeline data
+     */
+    toJSON() {
+      return {
+        enabled: this.enabled,
+        tracks: { ...this.tracks }
+      };
+    }
+
+    /**
+     * Replace contents from serialized data, skipping invalid keyframes and
+     * tracks for parameters that can't be animated
+     * @param {Object} data - Data from toJSON
+     */
+    load(data) {
+      this.clear();
+      this.enabled = data.enabled !== false;
+
+      Object.entries(data.tracks || {}).forEach(([param, track]) => {
+        if (!PARAMETERS.includes(param) || !Array.isArray(track)) return;
+        track.forEach(keyframe => {
+          if (keyframe && typeof keyframe.time === 'number' && typeof keyframe.value === 'number') {
+            this.addKeyframe(param, keyframe.time, keyframe.value, keyframe.easing);
+          }
+        });
+      });
+    }
+  }
+
+  Timeline.easings = easings;
+  Timeline.PARAMETERS = PARAMETERS;
+
+  return Timeline;
+});
@@ -3,179 +3,271 @@
  * Helper functions for color conversion, math, and browser APIs
  */
 
-const Utils = {
-  /**
-   * Convert HSL to RGB
-   * @param {number} h - Hue (0-360)
-   * @param {number} s - Saturation (0-1)
-   * @param {number} l - Lightness (0-1)
-   * @returns {Array} [r, g, b] where each value is 0-255
-   */
-  hslToRgb(h, s, l) {
-    h = h / 360;
-    const a = s * Math.min(l, 1 - l);
-    const f = (n) => {
-      const k = (n + h * 12) % 12;
-      return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
-    };
-    return [
-      Math.round(f(0) * 255),
-      Math.round(f(8) * 255),
-      Math.round(f(4) * 255)
-    ];
-  },
-
-  /**
-   * Convert RGB to hex string
-   * @param {number} r - Red (0-255)
-   * @param {number} g - Green (0-255)
-   * @param {number} b - Blue (0-255)
-   * @returns {string} Hex color string
-   */
-  rgbToHex(r, g, b) {
-    return '#' + [r, g, b].map(x => {
-      const hex = x.toString(16);
-      return hex.length === 1 ? '0' + hex : hex;
-    }).join('');
-  },
-
-  /**
-   * Clamp a value between min and max
-   * @param {number} value - Value to clamp
-   * @param {number} min - Minimum value
-   * @param {number} max - Maximum value
-   * @returns {number} Clamped value
-   */
-  clamp(value, min, max) {
-    return Math.max(min, Math.min(max, value));
-  },
-
-  /**
-   * Linear interpolation
-   * @param {number} a - Start value
-   * @param {number} b - End value
-   * @param {number} t - Interpolation factor (0-1)
-   * @returns {number} Interpolated value
-   */
-  lerp(a, b, t) {
-    return a + (b - a) * t;
-  },
-
-  /**
-   * Map a value from one range to another
-   * @param {number} value - Value to map
-   * @param {number} inMin - Input range minimum
-   * @param {number} inMax - Input range maximum
-   * @param {number} outMin - Output range minimum
-   * @param {number} outMax - Output range maximum
-   * @returns {number} Mapped value
-   */
-  map(value, inMin, inMax, outMin, outMax) {
-    return (value - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
-  },
-
-  /**
-   * Debounce function calls
-   * @param {Function} func - Function to debounce
-   * @param {number} wait - Wait time in milliseconds
-   * @returns {Function} Debounced function
-   */
-  debounce(func, wait) {
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func(...args);
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Utils = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const Utils = {
+    /**
+     * Convert HSL to RGB
+     * @param {number} h - Hue (0-360)
+     * @param {number} s - Saturation (0-1)
+     * @param {number} l - Lightness (0-1)
+     * @returns {Array} [r, g, b] where each value is 0-255
+     */
+    hslToRgb(h, s, l) {
+      h = h / 360;
+      const a = s * Math.min(l, 1 - l);
+      const f = (n) => {
+        const k = (n + h * 12) % 12;
+        return l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
       };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
-  },
-
-  /**
-   * Throttle function calls
-   * @param {Function} func - Function to throttle
-   * @param {number} limit - Time limit in milliseconds
-   * @returns {Function} Throttled function
-   */
-  throttle(func, limit) {
-    let inThrottle;
-    return function(...args) {
-      if (!inThrottle) {
-        func.apply(this, args);
-        inThrottle = true;
-        setTimeout(() => inThrottle = false, limit);
+      return [
+        Math.round(f(0) * 255),
+        Math.round(f(8) * 255),
+        Math.round(f(4) * 255)
+      ];
+    },
+
+    /**
+     * Convert RGB to hex string
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @returns {string} Hex color string
+     */
+    rgbToHex(r, g, b) {
+      return '#' + [r, g, b].map(x => {
+        const hex = x.toString(16);
+        return hex.length === 1 ? '0' + hex : hex;
+      }).join('');
+    },
+
+    /**
+     * Convert hex string to RGB
+     * @param {string} hex - Hex color string (#rrggbb or #rgb)
+     * @returns {Array} [r, g, b] where each value is 0-255 (black if invalid)
+     */
+    hexToRgb(hex) {
+      let digits = String(hex).replace('#', '');
+      if (digits.length === 3) {
+        digits = digits.split('').map(d => d + d).join('');
       }
-    };
-  },
-
-  /**
-   * Download a blob as a file
-   * @param {Blob} blob - Blob to download
-   * @param {string} filename - Filename for download
-   */
-  downloadBlob(blob, filename) {
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  },
-
-  /**
-   * Get/set localStorage with JSON support
-   */
-  storage: {
-    get(key, defaultValue = null) {
-      try {
-        const item = localStorage.getItem(key);
-        return item ? JSON.parse(item) : defaultValue;
-      } catch (e) {
-        console.error('Error reading from localStorage:', e);
-        return defaultValue;
+      const value = parseInt(digits, 16);
+      if (digits.length !== 6 || isNaN(value)) {
+        return [0, 0, 0];
       }
+      return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    },
+
+    /**
+     * Clamp a value between min and max
+     * @param {number} value - Value to clamp
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Clamped value
+     */
+    clamp(value, min, max) {
+      return Math.max(min, Math.min(max, value));
+    },
+
+    /**
+     * Linear interpolation
+     * @param {number} a - Start value
+     * @param {number} b - End value
+     * @param {number} t - Interpolation factor (0-1)
+     * @returns {number} Interpolated value
+     */
+    lerp(a, b, t) {
+      return a + (b - a) * t;
+    },
+
+    /**
+     * Map a value from one range to another
+     * @param {number} value - Value to map
+     * @param {number} inMin - Input range minimum
+     * @param {number} inMax - Input range maximum
+     * @param {number} outMin - Output range minimum
+     * @param {number} outMax - Output range maximum
+     * @returns {number} Mapped value
+     */
+    map(value, inMin, inMax, outMin, outMax) {
+      return (value - inMin) * (outMax - outMin) / (inMax - inMin) + outMin;
+    },
+
+    /**
+     * Debounce function calls
+     * @param {Function} func - Function to debounce
+     * @param {number} wait - Wait time in milliseconds
+     * @returns {Function} Debounced function
+     */
+    debounce(func, wait) {
+      let timeout;
+      return function executedFunction(...args) {
+        const later = () => {
+          clearTimeout(timeout);
+          func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+      };
+    },
+
+    /**
+     * Throttle function calls
+     * @param {Function} func - Function to throttle
+     * @param {number} limit - Time limit in milliseconds
+     * @returns {Function} Throttled function
+     */
+    throttle(func, limit) {
+      let inThrottle;
+      return function(...args) {
+        if (!inThrottle) {
+          func.apply(this, args);
+          inThrottle = true;
+          setTimeout(() => inThrottle = false, limit);
+        }
+      };
     },
 
-    set(key, value) {
-      try {
-        localStorage.setItem(key, JSON.stringify(value));
-      } catch (e) {
-        console.error('Error writing to localStorage:', e);
+    /**
+     * Download a blob as a file
+     * @param {Blob} blob - Blob to download
+     * @param {string} filename - Filename for download
+     */
+    downloadBlob(blob, filename) {
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = filename;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Get/set localStorage with JSON support
+     */
+    storage: {
+      get(key, defaultValue = null) {
+        try {
+          const item = localStorage.getItem(key);
+          return item ? JSON.parse(item) : defaultValue;
+        } catch (e) {
+          console.error('Error reading from localStorage:', e);
+          return defaultValue;
+        }
+      },
+
+      set(key, value) {
+        try {
+          localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+          console.error('Error writing to localStorage:', e);
+        }
+      },
+
+      remove(key) {
+        try {
+          localStorage.removeItem(key);
+        } catch (e) {
+          console.error('Error removing from localStorage:', e);
+        }
       }
     },
 
-    remove(key) {
-      try {
-        localStorage.removeItem(key);
-      } catch (e) {
-        console.error('Error removing from localStorage:', e);
+    /**
+     * Generate a random integer between min and max (inclusive)
+     * @param {number} min - Minimum value
+     * @param {number} max - Maximum value
+     * @returns {number} Random integer
+     */
+    randomInt(min, max) {
+      return Math.floor(Math.random() * (max - min + 1)) + min;
+    },
+
+    /**
+     * Deterministic pseudo-random number from integer inputs
+     * @param {...number} values - Integers to hash (e.g. seed, x, y)
+     * @returns {number} Value in [0, 1)
+     */
+    hashRandom(...values) {
+      let h = 0x811c9dc5;
+      for (let i = 0; i < values.length; i++) {
+        h = Math.imul(h ^ (values[i] | 0), 0x01000193);
+        h ^= h >>> 15;
+        h = Math.imul(h, 0x85ebca6b);
+        h ^= h >>> 13;
       }
+      return (h >>> 0) / 4294967296;
+    },
+
+    /**
+     * Format a number with fixed decimal places
+     * @param {number} num - Number to format
+     * @param {number} decimals - Number of decimal places
+     * @returns {string} Formatted number string
+     */
+    formatNumber(num, decimals = 2) {
+      return num.toFixed(decimals);
+    },
+
+    /**
+     * Estimate how many terminal cells a character takes up
+     * Covers control characters, combining marks and the common wide ranges
+     * (CJK, Hangul, fullwidth forms and emoji), in the manner of wcwidth.
+     * @param {string} char - A single character (one code point)
+     * @returns {number} 0 for control and combining characters, 2 for wide ones, otherwise 1
+     */
+    getCharacterWidth(char) {
+      const code = char.codePointAt(0);
+      if (code < 0x20 || (code >= 0x7f && code < 0xa0)) return 0;
+      if ((code >= 0x0300 && code <= 0x036f) || (code >= 0x200b && code <= 0x200f) ||
+        (code >= 0xfe00 && code <= 0xfe0f)) return 0;
+
+      const wide = (code >= 0x1100 && code <= 0x115f) ||
+        (code >= 0x2e80 && code <= 0xa4cf && code !== 0x303f) ||
+        (code >= 0xac00 && code <= 0xd7a3) ||
+        (code >= 0xf900 && code <= 0xfaff) ||
+        (code >= 0xfe30 && code <= 0xfe4f) ||
+        (code >= 0xff00 && code <= 0xff60) ||
+        (code >= 0xffe0 && code <= 0xffe6) ||
+        (code >= 0x1f300 && code <= 0x1f64f) ||
+        (code >= 0x1f900 && code <= 0x1f9ff) ||
+        (code >= 0x20000 && code <= 0x3fffd);
+      return wide ? 2 : 1;
+    },
+
+    /**
+     * Encode text as base64, including characters outside Latin-1
+     * @param {string} text - Text to encode
+     * @returns {string} Base64 of the UTF-8 bytes
+     */
+    encodeBase64(text) {
+      let binary = '';
+      new TextEncoder().encode(text).forEach(byte => {
+        binary += String.fromCharCode(byte);
+      });
+      return btoa(binary);
+    },
+
+    /**
+     * Decode base64 made by encodeBase64
+     * @param {string} base64 - Base64 of UTF-8 bytes
+     * @returns {string} Decoded text
+     */
+    decodeBase64(base64) {
+      const bytes = Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+      return new TextDecoder().decode(bytes);
     }
-  },
-
-  /**
-   * Generate a random integer between min and max (inclusive)
-   * @param {number} min - Minimum value
-   * @param {number} max - Maximum value
-   * @returns {number} Random integer
-   */
-  randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
-  },
-
-  /**
-   * Format a number with fixed decimal places
-   * @param {number} num - Number to format
-   * @param {number} decimals - Number of decimal places
-   * @returns {string} Formatted number string
-   */
-  formatNumber(num, decimals = 2) {
-    return num.toFixed(decimals);
-  }
-};
+  };
 
-// Export for use in other modules
-window.Utils = Utils;
+  return Utils;
+});
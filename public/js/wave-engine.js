@@ -3,191 +3,997 @@
  * Core wave generation algorithm with multi-layer synthesis
  */
 
-class WaveEngine {
-  constructor(config = {}) {
-    this.config = {
-      amplitude: 0.8,
-      speed: 1.0,
-      frequency: 1.5,
-      layers: 3,
-      choppiness: 0.3,
-      foamThreshold: 0.7,
-      depthEffect: 0.5,
-      noiseSeed: Math.floor(Math.random() * 999999),
-      timeSpeed: 1.5,
-      ...config
-    };
-
-    this.time = 0;
-    this.noise = new SimplexNoise(this.config.noiseSeed);
-
-    // Character sets for different intensities
-    this.characterSets = {
-      classic: {
-        sky: [' ', '.', '·', '˙'],
-        surface: ['~', '≈', '∼', '≋'],
-        shallow: ['-', '=', '≡'],
-        medium: ['░', '▒', '▓'],
-        deep: ['█', '■', '▮'],
-        foam: ['*', '※', '✦', '✱', '⁂']
-      },
-      minimal: {
-        sky: [' ', ' ', '.', '.'],
-        surface: ['~', '~', '-', '-'],
-        shallow: ['-', '-', '=', '='],
-        medium: ['=', '=', '#', '#'],
-        deep: ['#', '#', '@', '@'],
-        foam: ['*', '*', '+', '+', 'o']
-      },
-      dense: {
-        sky: [' ', '·', '˙', '⋅'],
-        surface: ['≈', '∽', '∼', '≋', '≃'],
-        shallow: ['▁', '▂', '▃', '▄'],
-        medium: ['▅', '▆', '▇', '█'],
-        deep: ['█', '▓', '▒', '░'],
-        foam: ['✦', '✧', '✶', '✷', '✸', '✹']
-      },
-      unicode: {
-        sky: [' ', '∙', '·', '⋅', '•'],
-        surface: ['〜', '～', '∿', '≈', '≋'],
-        shallow: ['⎯', '⎼', '▬', '═'],
-        medium: ['░', '▒', '▓', '█'],
-        deep: ['█', '▉', '▊', '▋', '▌'],
-        foam: ['⁕', '※', '✢', '✣', '✤', '✥']
-      }
-    };
-
-    this.currentCharacterSet = 'classic';
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(
+      require('./noise.js'),
+      require('./ripples.js'),
+      require('./terrain.js'),
+      require('./sky.js'),
+      require('./floaters.js'),
+      require('./utils.js')
+    );
+  } else {
+    root.WaveEngine = factory(root.SimplexNoise, root.RippleField, root.Terrain, root.Sky, root.Floaters, root.Utils);
   }
+})(typeof self !== 'undefined' ? self : this, function (SimplexNoise, RippleField, Terrain, Sky, Floaters, Utils) {
+  'use strict';
+
+  // Foam flicker steps per unit of animation time
+  const FOAM_FLICKER_RATE = 30;
+
+  // Default wave spectrum: the original three sines at 1x, 1.5x and 2.5x frequency.
+  // Amplitude and speed are relative to the layer, wavelength is relative to
+  // 1 / frequency, direction is in degrees and phase in radians.
+  const DEFAULT_SPECTRUM = [
+    { amplitude: 1.0, wavelength: 1, direction: 0, speed: 1.0, phase: 0 },
+    { amplitude: 0.5, wavelength: 1 / 1.5, direction: 0, speed: 1.3, phase: 0 },
+    { amplitude: 0.3, wavelength: 1 / 2.5, direction: 0, speed: 0.7, phase: 0 }
+  ];
+
+  // Wind direction the spectrum was designed for: component direction 0 travels right to left
+  const BASE_WIND_DIRECTION = 180;
+
+  // Fixed-point iterations used to invert the Gerstner horizontal displacement
+  const GERSTNER_ITERATIONS = 4;
+
+  // Shoreline: water depth (0-1 of the shelf) where waves start to grow and break
+  const SHALLOW_DEPTH = 0.4;
+  // Extra wave height at the waterline
+  const SHOALING = 0.6;
+  // How far up the beach a full crest runs, in terrain depth units
+  const RUNUP = 0.12;
+  // Width of the foam line at the leading edge of the swash
+  const FOAM_LINE = 0.02;
+
+  // Wave height, relative to the amplitude, above which nearer crests hide floating objects
+  const CREST_HEIGHT = 0.4;
+
+  // Screen widths floating objects drift per unit of animation time at full drift
+  const CURRENT_SPEED = 0.01;
+
+  // Config keys that shape the procedural shoreline
+  const TERRAIN_SETTINGS = ['shoreMode', 'shoreSide', 'beachWidth', 'shoreRoughness', 'noiseSeed'];
+
+  const SURFACE = { ...Terrain.SURFACE, ...Sky.SURFACE, ...Floaters.SURFACE };
+
+  // Bands a character set provides; custom sets must fill the water and foam
+  // bands, while missing beach bands fall back to the classic set
+  const CHARACTER_BANDS = ['sky', 'surface', 'shallow', 'medium', 'deep', 'foam', 'surf', 'wetSand', 'sand'];
+  const REQUIRED_BANDS = ['sky', 'surface', 'shallow', 'medium', 'deep', 'foam'];
+
+  // Settings that can be overridden per layer
+  const LAYER_SETTINGS = ['amplitude', 'frequency', 'speed', 'choppiness', 'hue', 'opacity', 'characterSet'];
 
-  /**
-   * Update configuration
-   * @param {Object} newConfig - New configuration values
-   */
-  updateConfig(newConfig) {
-    Object.assign(this.config, newConfig);
+  class WaveEngine {
+    constructor(config = {}) {
+      this.config = {
+        amplitude: 0.8,
+        speed: 1.0,
+        frequency: 1.5,
+        layers: 3,
+        choppiness: 0.3,
+        foamThreshold: 0.7,
+        depthEffect: 0.5,
+        noiseSeed: Math.floor(Math.random() * 999999),
+        timeSpeed: 1.5,
+        foamFlicker: true,
+        waveMode: 'sine',
+        steepness: 0.5,
+        spectrum: DEFAULT_SPECTRUM.map(component => ({ ...component })),
+        windDirection: BASE_WIND_DIRECTION,
+        windStrength: 0,
+        rippleStrength: 1.0,
+        rippleDamping: 0.3,
+        rippleSpeed: 0.5,
+        shoreMode: 'off',
+        shoreSide: 'left',
+        beachWidth: 0.25,
+        shoreRoughness: 0.5,
+        ...config
+      };
 
-    // Regenerate noise if seed changed
-    if (newConfig.noiseSeed !== undefined) {
+      this.time = 0;
+      this.paused = false;
       this.noise = new SimplexNoise(this.config.noiseSeed);
+      this.prepareSpectrum();
+
+      // Pointer ripples, added on top of the base wave
+      this.ripples = new RippleField(80, 45, {
+        strength: this.config.rippleStrength,
+        damping: this.config.rippleDamping,
+        speed: this.config.rippleSpeed
+      });
+
+      // Shoreline depth masks: generated, and loaded from an image
+      this.terrain = new Terrain();
+      this.terrainImage = new Terrain();
+      this.updateTerrain();
+
+      // Sky above the horizon (none until a horizon is set)
+      this.sky = new Sky();
+      this.sky.setSeed(this.config.noiseSeed);
+
+      // Floating objects riding the waves (none until placed)
+      this.floaters = new Floaters();
+
+      // Character sets for different intensities
+      this.characterSets = {
+        classic: {
+          sky: [' ', '.', '·', '˙'],
+          surface: ['~', '≈', '∼', '≋'],
+          shallow: ['-', '=', '≡'],
+          medium: ['░', '▒', '▓'],
+          deep: ['█', '■', '▮'],
+          foam: ['*', '※', '✦', '✱', '⁂'],
+          surf: ['~', '≈', '*', '※'],
+          wetSand: [',', ';', '⁖'],
+          sand: ['.', ':', '∴', '∵']
+        },
+        minimal: {
+          sky: [' ', ' ', '.', '.'],
+          surface: ['~', '~', '-', '-'],
+          shallow: ['-', '-', '=', '='],
+          medium: ['=', '=', '#', '#'],
+          deep: ['#', '#', '@', '@'],
+          foam: ['*', '*', '+', '+', 'o'],
+          surf: ['~', '~', '*', '+'],
+          wetSand: [',', ',', ';'],
+          sand: ['.', '.', ':', ':']
+        },
+        dense: {
+          sky: [' ', '·', '˙', '⋅'],
+          surface: ['≈', '∽', '∼', '≋', '≃'],
+          shallow: ['▁', '▂', '▃', '▄'],
+          medium: ['▅', '▆', '▇', '█'],
+          deep: ['█', '▓', '▒', '░'],
+          foam: ['✦', '✧', '✶', '✷', '✸', '✹'],
+          surf: ['≋', '≈', '✧', '✦'],
+          wetSand: ['▁', '▂', '⁖'],
+          sand: ['·', '∴', '∵', '⁘']
+        },
+        unicode: {
+          sky: [' ', '∙', '·', '⋅', '•'],
+          surface: ['〜', '～', '∿', '≈', '≋'],
+          shallow: ['⎯', '⎼', '▬', '═'],
+          medium: ['░', '▒', '▓', '█'],
+          deep: ['█', '▉', '▊', '▋', '▌'],
+          foam: ['⁕', '※', '✢', '✣', '✤', '✥'],
+          surf: ['∿', '≋', '✢', '✣'],
+          wetSand: ['⁖', '⁛', '⸪'],
+          sand: ['⋅', '∴', '∵', '⁘', '⁙']
+        }
+      };
+
+      this.currentCharacterSet = 'classic';
+
+      // User-defined character sets by name, as given to addCharacterSet
+      this.customCharacterSets = {};
+
+      // Per-layer overrides (index 0 = front), missing keys use the global config
+      this.layerSettings = [];
     }
-  }
 
-  /**
-   * Set character set
-   * @param {string} setName - Name of character set
-   */
-  setCharacterSet(setName) {
-    if (this.characterSets[setName]) {
+    /**
+     * Update configuration
+     * @param {Object} newConfig - New configuration values
+     */
+    updateConfig(newConfig) {
+      Object.assign(this.config, newConfig);
+
+      // Regenerate noise if seed changed
+      if (newConfig.noiseSeed !== undefined) {
+        this.noise = new SimplexNoise(this.config.noiseSeed);
+        this.sky.setSeed(this.config.noiseSeed);
+      }
+
+      if (newConfig.spectrum !== undefined || newConfig.windDirection !== undefined) {
+        this.prepareSpectrum();
+      }
+
+      if (TERRAIN_SETTINGS.some(key => newConfig[key] !== undefined)) {
+        this.updateTerrain();
+      }
+
+      this.ripples.updateConfig({
+        strength: this.config.rippleStrength,
+        damping: this.config.rippleDamping,
+        speed: this.config.rippleSpeed
+      });
+    }
+
+    /**
+     * Validate spectrum components and cache their direction vectors,
+     * rotating the whole spectrum to follow the wind
+     */
+    prepareSpectrum() {
+      const spectrum = Array.isArray(this.config.spectrum) ? this.config.spectrum : DEFAULT_SPECTRUM;
+      const number = (value, fallback) => (typeof value === 'number' && isFinite(value) ? value : fallback);
+      const windRotation = number(this.config.windDirection, BASE_WIND_DIRECTION) - BASE_WIND_DIRECTION;
+
+      this.spectrumComponents = spectrum.map(component => {
+        const direction = (number(component.direction, 0) + windRotation) * Math.PI / 180;
+        return {
+          amplitude: number(component.amplitude, 0),
+          wavelength: Math.max(number(component.wavelength, 1), 0.01),
+          speed: number(component.speed, 1),
+          phase: number(component.phase, 0),
+          dirX: Math.cos(direction),
+          dirY: Math.sin(direction)
+        };
+      });
+    }
+
+    /**
+     * Regenerate the procedural shoreline from the current config
+     */
+    updateTerrain() {
+      if (this.config.shoreMode !== 'procedural') return;
+
+      this.terrain.generate({
+        side: this.config.shoreSide,
+        beachWidth: this.config.beachWidth,
+        roughness: this.config.shoreRoughness,
+        seed: this.config.noiseSeed
+      });
+    }
+
+    /**
+     * Load a shoreline mask from a grayscale image and switch to it
+     * Depth is one minus luminance, so white is dry sand, black deep water
+     * and the waterline (Terrain.WATERLINE) sits at 70% luminance.
+     * @param {Object} imageData - ImageData-like object with width, height and RGBA data
+     */
+    setTerrainImage(imageData) {
+      this.terrainImage.loadImageData(imageData);
+      this.config.shoreMode = 'image';
+    }
+
+    /**
+     * Get the shoreline mask in use
+     * @returns {Terrain|null} Active terrain, or null for open water
+     */
+    getTerrain() {
+      if (this.config.shoreMode === 'procedural') return this.terrain;
+      if (this.config.shoreMode === 'image' && this.terrainImage.isReady()) return this.terrainImage;
+      return null;
+    }
+
+    /**
+     * Set character set
+     * @param {string} setName - Name of a built-in or custom character set
+     * @param {Object} bands - Optional custom set to add under that name first
+     * @returns {boolean} True if the set is now in use; unknown or invalid sets leave it unchanged
+     */
+    setCharacterSet(setName, bands = null) {
+      if (bands && this.addCharacterSet(setName, bands).length > 0) {
+        return false;
+      }
+      if (!this.characterSets[setName]) {
+        return false;
+      }
       this.currentCharacterSet = setName;
+      return true;
     }
-  }
 
-  /**
-   * Calculate wave value at a specific position and layer
-   * @param {number} x - X coordinate (0-1 normalized)
-   * @param {number} y - Y coordinate (0-1 normalized)
-   * @param {number} layer - Layer index (0 = front, layers-1 = back)
-   * @returns {number} Wave value (approximately -amplitude to +amplitude)
-   */
-  calculateWave(x, y, layer) {
-    const layerDepth = layer / Math.max(this.config.layers, 1);
-    const layerSpeed = this.config.speed * (1 - layerDepth * this.config.depthEffect);
-    const layerAmplitude = this.config.amplitude * (1 - layerDepth * 0.3);
-
-    // Base wave - combination of multiple sine waves
-    let wave = 0;
-
-    // Primary wave
-    wave += Math.sin(x * this.config.frequency * Math.PI * 2 + this.time * layerSpeed) * layerAmplitude;
-
-    // Secondary wave (different frequency and phase)
-    wave += Math.sin(x * this.config.frequency * 1.5 * Math.PI * 2 + this.time * layerSpeed * 1.3) * layerAmplitude * 0.5;
-
-    // Tertiary wave (higher frequency detail)
-    wave += Math.sin(x * this.config.frequency * 2.5 * Math.PI * 2 + this.time * layerSpeed * 0.7) * layerAmplitude * 0.3;
-
-    // Add noise for organic variation
-    const noiseValue = this.noise.noise3D(
-      x * this.config.frequency * 2,
-      y * this.config.frequency * 2 + this.time * layerSpeed * 0.1,
-      layer * 0.5
-    );
-    wave += noiseValue * this.config.choppiness * layerAmplitude;
+    /**
+     * Check a custom character set
+     * @param {Object} bands - Arrays of single characters per band, e.g. { sky: [' ', '.'], ... }
+     * @returns {Array<string>} Problems found (empty if the set is usable)
+     */
+    static validateCharacterSet(bands) {
+      const errors = [];
+      if (!bands || typeof bands !== 'object') {
+        return ['Character set must be an object of bands'];
+      }
 
-    // Add vertical component (swell effect)
-    wave += Math.sin(y * Math.PI + this.time * layerSpeed * 0.5) * layerAmplitude * 0.3;
+      CHARACTER_BANDS.forEach(band => {
+        const chars = bands[band];
+        if (chars === undefined && !REQUIRED_BANDS.includes(band)) return;
 
-    return wave;
-  }
+        if (!Array.isArray(chars) || chars.length === 0) {
+          errors.push(`Band "${band}" is empty`);
+          return;
+        }
+
+        chars.forEach(char => {
+          if (typeof char !== 'string' || Array.from(char).length !== 1) {
+            errors.push(`Band "${band}" has an entry that isn't a single character: "${char}"`);
+          } else if (Utils.getCharacterWidth(char) !== 1) {
+            errors.push(`"${char}" in band "${band}" is not one cell wide`);
+          }
+        });
+      });
 
-  /**
-   * Select appropriate character based on wave value
-   * @param {number} waveValue - Wave value from calculateWave
-   * @param {number} layer - Layer index
-   * @returns {string} Selected character
-   */
-  selectCharacter(waveValue, layer) {
-    const charSet = this.characterSets[this.currentCharacterSet];
-
-    // Normalize wave value to 0-1 range
-    const normalized = Utils.clamp((waveValue / this.config.amplitude + 1) / 2, 0, 1);
-
-    // Check for foam (wave peaks)
-    if (normalized > this.config.foamThreshold && waveValue > 0) {
-      const foamChars = charSet.foam;
-      // Add some randomness to foam
-      const index = Math.floor((Math.random() * 0.3 + normalized * 0.7) * foamChars.length);
-      return foamChars[Math.min(index, foamChars.length - 1)];
-    }
-
-    // Select character based on intensity
-    if (normalized > 0.75) {
-      const chars = charSet.surface;
-      const index = Math.floor((normalized - 0.75) * 4 * chars.length);
-      return chars[Math.min(index, chars.length - 1)];
-    } else if (normalized > 0.55) {
-      const chars = charSet.shallow;
-      const index = Math.floor((normalized - 0.55) * 5 * chars.length);
-      return chars[Math.min(index, chars.length - 1)];
-    } else if (normalized > 0.35) {
-      const chars = charSet.medium;
-      const index = Math.floor((normalized - 0.35) * 5 * chars.length);
-      return chars[Math.min(index, chars.length - 1)];
-    } else if (normalized > 0.15) {
-      const chars = charSet.deep;
-      const index = Math.floor((normalized - 0.15) * 5 * chars.length);
-      return chars[Math.min(index, chars.length - 1)];
-    } else {
-      const chars = charSet.sky;
-      const index = Math.floor(normalized * 6.67 * chars.length);
-      return chars[Math.min(index, chars.length - 1)];
+      return errors;
     }
-  }
 
-  /**
-   * Update time for animation
-   * @param {number} deltaTime - Time elapsed since last update (seconds)
-   */
-  update(deltaTime) {
-    this.time += deltaTime * this.config.timeSpeed;
-  }
+    /**
+     * Add or replace a custom character set
+     * Missing beach bands are taken from the classic set.
+     * @param {string} name - Set name (built-in names can't be replaced)
+     * @param {Object} bands - Arrays of single characters per band
+     * @returns {Array<string>} Problems found; the set is only added if there are none
+     */
+    addCharacterSet(name, bands) {
+      if (!name) {
+        return ['Character set needs a name'];
+      }
+      if (name in this.characterSets && !(name in this.customCharacterSets)) {
+        return [`"${name}" is a built-in character set`];
+      }
 
-  /**
-   * Reset time to zero
-   */
-  resetTime() {
-    this.time = 0;
-  }
+      const errors = WaveEngine.validateCharacterSet(bands);
+      if (errors.length > 0) return errors;
+
+      const custom = {};
+      CHARACTER_BANDS.forEach(band => {
+        if (bands[band]) custom[band] = [...bands[band]];
+      });
+      this.customCharacterSets[name] = custom;
+
+      const filled = {};
+      CHARACTER_BANDS.forEach(band => {
+        filled[band] = custom[band] || this.characterSets.classic[band];
+      });
+      this.characterSets[name] = filled;
+      return [];
+    }
+
+    /**
+     * Remove a custom character set, switching back to classic if it was in use
+     * Layers set to use it fall back to the global set.
+     * @param {string} name - Set name
+     */
+    removeCharacterSet(name) {
+      if (!(name in this.customCharacterSets)) return;
+
+      delete this.customCharacterSets[name];
+      delete this.characterSets[name];
+      if (this.currentCharacterSet === name) {
+        this.currentCharacterSet = 'classic';
+      }
+    }
+
+    /**
+     * Get all custom character sets
+     * @returns {Object} Copies of the custom sets by name
+     */
+    getCustomCharacterSets() {
+      const sets = {};
+      Object.entries(this.customCharacterSets).forEach(([name, bands]) => {
+        sets[name] = JSON.parse(JSON.stringify(bands));
+      });
+      return sets;
+    }
+
+    /**
+     * Replace all custom character sets, e.g. from a saved configuration
+     * Invalid sets are skipped.
+     * @param {Object} sets - Custom sets by name
+     * @returns {Array<string>} One problem per skipped set, naming the set
+     */
+    setCustomCharacterSets(sets = {}) {
+      Object.keys(this.customCharacterSets).forEach(name => this.removeCharacterSet(name));
+
+      const skipped = [];
+      Object.entries(sets).forEach(([name, bands]) => {
+        const errors = this.addCharacterSet(name, bands);
+        if (errors.length > 0) {
+          skipped.push(`Skipping character set "${name}": ${errors.join('; ')}`);
+        }
+      });
+      return skipped;
+    }
+
+    /**
+     * Override settings for one layer
+     * @param {number} layer - Layer index (0 = front)
+     * @param {Object} settings - Any of amplitude, frequency, speed, choppiness,
+     *   hue, opacity and characterSet; null or undefined reverts to the global value
+     */
+    setLayerSettings(layer, settings) {
+      const current = { ...this.layerSettings[layer] };
+
+      Object.entries(settings).forEach(([key, value]) => {
+        if (!LAYER_SETTINGS.includes(key)) return;
+        if (value === null || value === undefined) {
+          delete current[key];
+        } else {
+          current[key] = value;
+        }
+      });
+
+      this.layerSettings[layer] = current;
+    }
+
+    /**
+     * Get the overrides for one layer
+     * @param {number} layer - Layer index
+     * @returns {Object} Overridden settings only
+     */
+    getLayerSettings(layer) {
+      return { ...this.layerSettings[layer] };
+    }
+
+    /**
+     * Remove all overrides for one layer
+     * @param {number} layer - Layer index
+     */
+    clearLayerSettings(layer) {
+      this.layerSettings[layer] = {};
+    }
+
+    /**
+     * Replace the overrides for every layer
+     * @param {Array<Object>} layers - Overrides per layer, front to back
+     */
+    setAllLayerSettings(layers) {
+      this.layerSettings = [];
+      layers.forEach((settings, layer) => this.setLayerSettings(layer, settings || {}));
+    }
+
+    /**
+     * Get the overrides for every active layer
+     * @returns {Array<Object>} Overrides per layer, front to back
+     */
+    getAllLayerSettings() {
+      const layers = [];
+      for (let layer = 0; layer < this.config.layers; layer++) {
+        layers.push(this.getLayerSettings(layer));
+      }
+      return layers;
+    }
+
+    /**
+     * Get the effective value of a per-layer setting
+     * @param {number} layer - Layer index
+     * @param {string} key - Setting name
+     * @returns {*} Layer override, or the global value
+     */
+    getLayerValue(layer, key) {
+      const settings = this.layerSettings[layer];
+      return settings && settings[key] !== undefined ? settings[key] : this.config[key];
+    }
+
+    /**
+     * Get the wave configuration with a layer's overrides applied
+     * @param {number} layer - Layer index
+     * @returns {Object} Effective configuration for the layer
+     */
+    getLayerConfig(layer) {
+      return {
+        ...this.config,
+        amplitude: this.getLayerValue(layer, 'amplitude'),
+        frequency: this.getLayerValue(layer, 'frequency'),
+        speed: this.getLayerValue(layer, 'speed'),
+        choppiness: this.getLayerValue(layer, 'choppiness')
+      };
+    }
+
+    /**
+     * Get the wind as a screen-space vector
+     * @returns {Object} Wind strength (0-1) and direction vector x, y scaled by strength
+     */
+    getWind() {
+      const strength = Utils.clamp(this.config.windStrength || 0, 0, 1);
+      const direction = this.config.windDirection * Math.PI / 180;
+      return {
+        strength,
+        x: Math.cos(direction) * strength,
+        y: Math.sin(direction) * strength
+      };
+    }
+
+    /**
+     * Get the normalized wave height above which crests turn to foam
+     * Wind breaks lower crests into foam.
+     * @returns {number} Foam threshold (0-1)
+     */
+    getFoamThreshold() {
+      return this.config.foamThreshold - this.getWind().strength * 0.2;
+    }
+
+    /**
+     * Get the surface current floating objects drift with
+     * Objects drift downwind, faster as the wind picks up.
+     * @returns {Object} Drift x, y in screen fractions per unit of animation time
+     */
+    getCurrent() {
+      const speed = Utils.clamp(this.floaters.config.drift, 0, 1) * CURRENT_SPEED * (1 + this.getWind().strength * 2);
+      const direction = this.config.windDirection * Math.PI / 180;
+      return {
+        x: Math.cos(direction) * speed,
+        y: Math.sin(direction) * speed
+      };
+    }
+
+    /**
+     * Calculate wave value at a specific position and layer
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @param {number} y - Y coordinate (0-1 normalized)
+     * @param {number} layer - Layer index (0 = front, layers-1 = back)
+     * @returns {number} Wave value (approximately -amplitude to +amplitude)
+     */
+    calculateWave(x, y, layer) {
+      const amplitude = this.getLayerValue(layer, 'amplitude');
+      const frequency = this.getLayerValue(layer, 'frequency');
+      const speed = this.getLayerValue(layer, 'speed');
+      const wind = this.getWind();
+      // Stronger wind whips up choppier water
+      const choppiness = this.getLayerValue(layer, 'choppiness') * (1 + wind.strength);
+
+      const layerDepth = layer / Math.max(this.config.layers, 1);
+      const layerSpeed = speed * (1 - layerDepth * this.config.depthEffect);
+      const layerAmplitude = amplitude * (1 - layerDepth * 0.3);
 
-  /**
-   * Get current configuration
-   * @returns {Object} Current configuration
-   */
-  getConfig() {
-    return { ...this.config };
+      // Base wave - sum of the spectrum components
+      const gerstner = this.config.waveMode === 'gerstner';
+      const steepness = Utils.clamp(this.config.steepness, 0, 0.95);
+      let wave = 0;
+
+      for (let i = 0; i < this.spectrumComponents.length; i++) {
+        const component = this.spectrumComponents[i];
+        const position = x * component.dirX + y * component.dirY;
+        const k = frequency * Math.PI * 2 / component.wavelength;
+        const offset = this.time * layerSpeed * component.speed + component.phase;
+
+        // Gerstner (trochoidal) waves: find the undisplaced position that lands
+        // here, so crests bunch up sharp and troughs stretch out broad
+        let source = position;
+        if (gerstner) {
+          for (let j = 0; j < GERSTNER_ITERATIONS; j++) {
+            source = position - steepness / k * Math.cos(k * source + offset);
+          }
+        }
+
+        wave += Math.sin(k * source + offset) * layerAmplitude * component.amplitude;
+      }
+
+      // Add noise for organic variation, drifting downwind
+      const drift = this.time * layerSpeed * 0.5;
+      const noiseValue = this.noise.noise3D(
+        x * frequency * 2 - wind.x * drift,
+        y * frequency * 2 + this.time * layerSpeed * 0.1 - wind.y * drift,
+        layer * 0.5
+      );
+      wave += noiseValue * choppiness * layerAmplitude;
+
+      // Add vertical component (swell effect)
+      wave += Math.sin(y * Math.PI + this.time * layerSpeed * 0.5) * layerAmplitude * 0.3;
+
+      // Add pointer ripples, which also push crests over the foam threshold
+      wave += this.ripples.sample(x, y) * layerAmplitude;
+
+      // Waves grow taller as they run into shallow water
+      const terrain = this.getTerrain();
+      if (terrain) {
+        const waterDepth = (terrain.sample(x, y) - Terrain.WATERLINE) / (1 - Terrain.WATERLINE);
+        wave *= 1 + (1 - Utils.clamp(waterDepth / SHALLOW_DEPTH, 0, 1)) * SHOALING;
+      }
+
+      return wave;
+    }
+
+    /**
+     * Classify a cell against the shoreline
+     * In shallow water tall crests break into surf; on the beach crests run
+     * up the sand behind a foam line and pull back with the troughs, leaving
+     * wet sand. Only the front layer reaches the beach.
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @param {number} y - Y coordinate (0-1 normalized)
+     * @param {number} waveValue - Wave value from calculateWave
+     * @param {number} layer - Layer index
+     * @returns {number} Surface type from WaveEngine.SURFACE
+     */
+    getSurface(x, y, waveValue, layer) {
+      const terrain = this.getTerrain();
+      if (!terrain) return SURFACE.WATER;
+
+      const depth = terrain.sample(x, y);
+      const amplitude = this.getLayerValue(layer, 'amplitude');
+      const normalized = Utils.clamp((waveValue / amplitude + 1) / 2, 0, 1);
+
+      if (depth >= Terrain.WATERLINE) {
+        const waterDepth = (depth - Terrain.WATERLINE) / (1 - Terrain.WATERLINE);
+        const shallowness = 1 - Utils.clamp(waterDepth / SHALLOW_DEPTH, 0, 1);
+        return shallowness > 0 && normalized > 1 - shallowness * 0.45 ? SURFACE.SURF : SURFACE.WATER;
+      }
+
+      if (layer > 0) return SURFACE.SAND;
+
+      const height = Terrain.WATERLINE - depth;
+      const reach = normalized * RUNUP;
+      if (height < reach - FOAM_LINE) return SURFACE.WATER;
+      if (height < reach) return SURFACE.SURF;
+      if (height < RUNUP) return SURFACE.WET_SAND;
+      return SURFACE.SAND;
+    }
+
+    /**
+     * Select appropriate character based on wave value
+     * Foam variation is hashed from the seed, cell and layer (and time when
+     * foamFlicker is on), so identical config and time give identical frames.
+     * @param {number} waveValue - Wave value from calculateWave
+     * @param {number} layer - Layer index
+     * @param {number} cellX - Grid column
+     * @param {number} cellY - Grid row
+     * @param {number} surface - Surface type from getSurface
+     * @returns {string} Selected character
+     */
+    selectCharacter(waveValue, layer, cellX = 0, cellY = 0, surface = SURFACE.WATER) {
+      const layerSet = this.layerSettings[layer] && this.layerSettings[layer].characterSet;
+      const charSet = this.characterSets[layerSet] || this.characterSets[this.currentCharacterSet];
+
+      // Beach, drawn once by the front layer; sand grains stay put
+      if (surface === SURFACE.SAND || surface === SURFACE.WET_SAND) {
+        if (layer > 0) return ' ';
+        const chars = surface === SURFACE.SAND ? charSet.sand : charSet.wetSand;
+        const variation = Utils.hashRandom(this.config.noiseSeed, cellX, cellY);
+        return chars[Math.floor(variation * chars.length)];
+      }
+
+      // Normalize wave value to 0-1 range
+      const amplitude = this.getLayerValue(layer, 'amplitude');
+      const normalized = Utils.clamp((waveValue / amplitude + 1) / 2, 0, 1);
+
+      // Breaking waves and the swash foam line
+      if (surface === SURFACE.SURF) {
+        const chars = charSet.surf;
+        const flickerStep = this.config.foamFlicker ? Math.floor(this.time * FOAM_FLICKER_RATE) : 0;
+        const variation = Utils.hashRandom(this.config.noiseSeed, cellX, cellY, layer, flickerStep);
+        return chars[Math.floor(variation * chars.length)];
+      }
+
+      // Check for foam (wave peaks)
+      if (normalized > this.getFoamThreshold() && waveValue > 0) {
+        const foamChars = charSet.foam;
+        // Add some seeded variation to foam
+        const flickerStep = this.config.foamFlicker ? Math.floor(this.time * FOAM_FLICKER_RATE) : 0;
+        const variation = Utils.hashRandom(this.config.noiseSeed, cellX, cellY, layer, flickerStep);
+        const index = Math.floor((variation * 0.3 + normalized * 0.7) * foamChars.length);
+        return foamChars[Math.min(index, foamChars.length - 1)];
+      }
+
+      // Select character based on intensity
+      if (normalized > 0.75) {
+        const chars = charSet.surface;
+        const index = Math.floor((normalized - 0.75) * 4 * chars.length);
+        return chars[Math.min(index, chars.length - 1)];
+      } else if (normalized > 0.55) {
+        const chars = charSet.shallow;
+        const index = Math.floor((normalized - 0.55) * 5 * chars.length);
+        return chars[Math.min(index, chars.length - 1)];
+      } else if (normalized > 0.35) {
+        const chars = charSet.medium;
+        const index = Math.floor((normalized - 0.35) * 5 * chars.length);
+        return chars[Math.min(index, chars.length - 1)];
+      } else if (normalized > 0.15) {
+        const chars = charSet.deep;
+        const index = Math.floor((normalized - 0.15) * 5 * chars.length);
+        return chars[Math.min(index, chars.length - 1)];
+      } else {
+        const chars = charSet.sky;
+        const index = Math.floor(normalized * 6.67 * chars.length);
+        return chars[Math.min(index, chars.length - 1)];
+      }
+    }
+
+    /**
+     * Sample a whole frame without touching the DOM
+     * Layers are composited front to back, so each cell holds the nearest
+     * layer that produced a visible (non-space) character.
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @param {number} time - Animation time to sample at (defaults to current time)
+     * @returns {Object} Frame with width, height, time, values (Float32Array),
+     *   layers (Int8Array, -1 where every layer is blank), chars
+     *   (Uint32Array of code points) and surfaces (Uint8Array of
+     *   WaveEngine.SURFACE types). Sky cells use layer 0, a sky surface
+     *   type and a value from 0 at the top of the sky to 1 at the horizon.
+     *   Floating object cells use the object's layer and SURFACE.OBJECT.
+     */
+    sampleGrid(width, height, time = this.time) {
+      const cellCount = width * height;
+      const values = new Float32Array(cellCount);
+      const layers = new Int8Array(cellCount).fill(-1);
+      const chars = new Uint32Array(cellCount).fill(32);
+      const surfaces = new Uint8Array(cellCount);
+
+      const previousTime = this.time;
+      this.time = time;
+
+      const horizonRow = this.sky.getHorizonRow(height);
+      const floaterCells = this.layoutFloaters(width, height);
+
+      for (let gridY = 0; gridY < height; gridY++) {
+        for (let gridX = 0; gridX < width; gridX++) {
+          const index = gridY * width + gridX;
+          const floater = floaterCells.get(index);
+
+          if (gridY < horizonRow) {
+            // Masts and sails can stand against the sky
+            if (floater) {
+              layers[index] = floater.layer;
+              chars[index] = floater.char.codePointAt(0);
+              surfaces[index] = SURFACE.OBJECT;
+              continue;
+            }
+
+            const cell = this.sky.sample(gridX, gridY, width, height, time);
+            if (cell.char !== ' ') {
+              values[index] = gridY / horizonRow;
+              layers[index] = 0;
+              chars[index] = cell.char.codePointAt(0);
+              surfaces[index] = cell.surface;
+            }
+            continue;
+          }
+
+          const x = gridX / width;
+          const y = gridY / height;
+
+          for (let layer = 0; layer < this.config.layers; layer++) {
+            const waveValue = this.calculateWave(x, y, layer);
+            const surface = this.getSurface(x, y, waveValue, layer);
+            const char = this.selectCharacter(waveValue, layer, gridX, gridY, surface);
+
+            if (layer === 0) {
+              values[index] = waveValue;
+            }
+
+            // An object hides its own layer and the troughs of nearer ones;
+            // only nearer crests pass in front of it
+            if (floater && layer < floater.layer && !this.isCrest(waveValue, layer)) continue;
+            if (floater && floater.layer === layer) {
+              layers[index] = layer;
+              chars[index] = floater.char.codePointAt(0);
+              surfaces[index] = SURFACE.OBJECT;
+              break;
+            }
+            if (char === ' ') continue;
+
+            values[index] = waveValue;
+            layers[index] = layer;
+            chars[index] = char.codePointAt(0);
+            surfaces[index] = surface;
+            break;
+          }
+        }
+      }
+
+      this.time = previousTime;
+
+      return { width, height, time, values, layers, chars, surfaces };
+    }
+
+    /**
+     * Sample every layer of a frame separately, for renderers that draw the
+     * layers over each other
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @param {number} startRow - First row to sample, e.g. the horizon row
+     * @returns {Object} Frame with width, height, startRow, layers (count),
+     *   and values (Float32Array), chars (Uint32Array of code points, 32 where
+     *   blank) and surfaces (Uint8Array) holding layer after layer, front
+     *   first; a cell's index is layer * width * height + row * width + column
+     */
+    sampleLayers(width, height, startRow = 0) {
+      const cellCount = width * height;
+      const layerCount = this.config.layers;
+      const values = new Float32Array(cellCount * layerCount);
+      const chars = new Uint32Array(cellCount * layerCount).fill(32);
+      const surfaces = new Uint8Array(cellCount * layerCount);
+
+      for (let layer = 0; layer < layerCount; layer++) {
+        for (let gridY = startRow; gridY < height; gridY++) {
+          for (let gridX = 0; gridX < width; gridX++) {
+            const x = gridX / width;
+            const y = gridY / height;
+            const index = layer * cellCount + gridY * width + gridX;
+
+            const waveValue = this.calculateWave(x, y, layer);
+            const surface = this.getSurface(x, y, waveValue, layer);
+            values[index] = waveValue;
+            surfaces[index] = surface;
+            chars[index] = this.selectCharacter(waveValue, layer, gridX, gridY, surface).codePointAt(0);
+          }
+        }
+      }
+
+      return { width, height, startRow, layers: layerCount, values, chars, surfaces };
+    }
+
+    /**
+     * Measure the front layer on a coarse grid, e.g. to drive sound
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @returns {Object} foam: share of water cells that are foam or surf (0-1);
+     *   swell: wave height along the middle of the bottom row (0-1)
+     */
+    getSeaState(width = 32, height = 18) {
+      const foamThreshold = this.getFoamThreshold();
+      const amplitude = this.getLayerValue(0, 'amplitude');
+      let foamCells = 0;
+      let waterCells = 0;
+      let swell = 0;
+      let swellCells = 0;
+
+      for (let gridY = this.sky.getHorizonRow(height); gridY < height; gridY++) {
+        for (let gridX = 0; gridX < width; gridX++) {
+          const x = gridX / width;
+          const y = gridY / height;
+          const waveValue = this.calculateWave(x, y, 0);
+          const surface = this.getSurface(x, y, waveValue, 0);
+          if (surface === SURFACE.SAND || surface === SURFACE.WET_SAND) continue;
+
+          const normalized = Utils.clamp((waveValue / amplitude + 1) / 2, 0, 1);
+          waterCells++;
+          if (surface === SURFACE.SURF || (normalized > foamThreshold && waveValue > 0)) {
+            foamCells++;
+          }
+
+          if (gridY === height - 1 && x >= 1 / 3 && x < 2 / 3) {
+            swell += normalized;
+            swellCells++;
+          }
+        }
+      }
+
+      return {
+        foam: waterCells > 0 ? foamCells / waterCells : 0,
+        swell: swellCells > 0 ? swell / swellCells : 0
+      };
+    }
+
+    /**
+     * Update time for animation
+     * @param {number} deltaTime - Time elapsed since last update (seconds)
+     */
+    update(deltaTime) {
+      if (this.paused) return;
+      this.time += deltaTime * this.config.timeSpeed;
+      this.ripples.update(deltaTime * this.config.timeSpeed);
+    }
+
+    /**
+     * Drop a ripple disturbance at a position
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @param {number} y - Y coordinate (0-1 normalized)
+     * @param {number} strength - Multiplier on the rippleStrength setting
+     */
+    disturb(x, y, strength = 1) {
+      this.ripples.disturb(x, y, strength);
+    }
+
+    /**
+     * Place a floating object at a position
+     * @param {string} sprite - Sprite name
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @param {number} y - Y coordinate of the waterline (0-1 normalized)
+     * @param {number} layer - Layer the object floats on (0 = front)
+     */
+    placeFloater(sprite, x, y, layer = 0) {
+      this.floaters.add(sprite, x, y, layer, this.time, this.getCurrent());
+    }
+
+    /**
+     * Lay out floating objects on a grid at the current time
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @returns {Map<number, Object>} Cells by grid index, each with char and layer
+     */
+    layoutFloaters(width, height) {
+      if (this.floaters.config.objects.length === 0) return new Map();
+
+      return this.floaters.layout({
+        width,
+        height,
+        time: this.time,
+        current: this.getCurrent(),
+        top: this.sky.getHorizonRow(height) / height,
+        layers: this.config.layers,
+        waveHeight: (x, y, layer) => this.calculateWave(x, y, layer) / this.getLayerValue(layer, 'amplitude')
+      });
+    }
+
+    /**
+     * Check whether a wave is high enough to hide floating objects on farther layers
+     * @param {number} waveValue - Wave value from calculateWave
+     * @param {number} layer - Layer index
+     * @returns {boolean} True for crests
+     */
+    isCrest(waveValue, layer) {
+      return waveValue / this.getLayerValue(layer, 'amplitude') > CREST_HEIGHT;
+    }
+
+    /**
+     * Check whether a crest on a layer nearer than the given one hides a cell
+     * @param {number} gridX - Grid column
+     * @param {number} gridY - Grid row
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @param {number} layer - Layer index
+     * @returns {boolean} True if a nearer crest draws a character in the cell
+     */
+    isCovered(gridX, gridY, width, height, layer) {
+      const x = gridX / width;
+      const y = gridY / height;
+
+      for (let nearer = 0; nearer < layer; nearer++) {
+        const waveValue = this.calculateWave(x, y, nearer);
+        if (!this.isCrest(waveValue, nearer)) continue;
+
+        const surface = this.getSurface(x, y, waveValue, nearer);
+        if (this.selectCharacter(waveValue, nearer, gridX, gridY, surface) !== ' ') {
+          return true;
+        }
+      }
+      return false;
+    }
+
+    /**
+     * Reset time to zero
+     */
+    resetTime() {
+      this.time = 0;
+    }
+
+    /**
+     * Seek to a specific animation time
+     * @param {number} time - Animation time
+     */
+    setTime(time) {
+      this.time = time;
+    }
+
+    /**
+     * Step time by whole frames, forward or backward, even while paused
+     * @param {number} frames - Number of frames (negative steps back)
+     * @param {number} frameDuration - Duration of one frame (seconds)
+     */
+    step(frames = 1, frameDuration = 1 / 60) {
+      this.time += frames * frameDuration * this.config.timeSpeed;
+    }
+
+    /**
+     * Pause animation
+     */
+    pause() {
+      this.paused = true;
+    }
+
+    /**
+     * Resume animation
+     */
+    resume() {
+      this.paused = false;
+    }
+
+    /**
+     * Toggle between paused and playing
+     * @returns {boolean} True if now paused
+     */
+    togglePause() {
+      this.paused = !this.paused;
+      return this.paused;
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current configuration
+     */
+    getConfig() {
+      return { ...this.config };
+    }
   }
-}
 
-// Export for use in other modules
-window.WaveEngine = WaveEngine;
+  WaveEngine.DEFAULT_SPECTRUM = DEFAULT_SPECTRUM;
+  WaveEngine.BASE_WIND_DIRECTION = BASE_WIND_DIRECTION;
+  WaveEngine.SURFACE = SURFACE;
+  WaveEngine.CHARACTER_BANDS = CHARACTER_BANDS;
+  WaveEngine.REQUIRED_BANDS = REQUIRED_BANDS;
+
+  return WaveEngine;
+});
@@ -0,0 +1,151 @@
+/**
+ * Wave Worker Client
+ * Runs WaveEngine.sampleLayers in a Web Worker, one frame ahead of drawing
+ */
+
+class WaveWorkerClient {
+  /**
+   * @param {WaveEngine} waveEngine - Engine whose state the worker follows
+   * @param {string} url - Worker script URL
+   */
+  constructor(waveEngine, url = 'js/wave-worker.js') {
+    this.waveEngine = waveEngine;
+    this.frame = null;
+    this.pending = false;
+    this.failed = false;
+
+    // Why the page fell back to sampling on the main thread, for the caller
+    // to show; null while the worker runs or after terminate
+    this.failure = null;
+
+    // What the worker already has, so only changes are sent
+    this.sentConfig = {};
+    this.sentCharacterSets = '';
+    this.sentTerrainDepths = null;
+
+    try {
+      this.worker = new Worker(url);
+    } catch (e) {
+      // e.g. pages opened from file://
+      this.failed = true;
+      this.failure = `Web Worker unavailable: ${e.message}`;
+      return;
+    }
+
+    this.worker.addEventListener('message', (e) => {
+      if (e.data.type !== 'frame') return;
+      this.frame = e.data.frame;
+      this.pending = false;
+    });
+
+    this.worker.addEventListener('error', (e) => {
+      this.failed = true;
+      this.failure = `Web Worker failed: ${e.message}`;
+      this.worker.terminate();
+    });
+  }
+
+  /**
+   * Check whether the browser can run workers
+   * @returns {boolean} True if Web Workers are available
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Collect the engine state the worker needs to sample a frame
+   * Settings, character sets and the terrain image are only included when
+   * they changed since the last request.
+   * @returns {Object} State message
+   */
+  getState() {
+    const engine = this.waveEngine;
+
+    const config = {};
+    Object.entries(engine.config).forEach(([key, value]) => {
+      const json = JSON.stringify(value);
+      if (this.sentConfig[key] !== json) {
+        this.sentConfig[key] = json;
+        config[key] = value;
+      }
+    });
+
+    const state = {
+      config,
+      time: engine.time,
+      characterSet: engine.currentCharacterSet,
+      layers: engine.getAllLayerSettings(),
+      ripples: null
+    };
+
+    const characterSets = engine.getCustomCharacterSets();
+    const characterSetsJSON = JSON.stringify(characterSets);
+    if (characterSetsJSON !== this.sentCharacterSets) {
+      this.sentCharacterSets = characterSetsJSON;
+      state.characterSets = characterSets;
+    }
+
+    const terrainImage = engine.terrainImage;
+    if (terrainImage.depths !== this.sentTerrainDepths) {
+      this.sentTerrainDepths = terrainImage.depths;
+      state.terrainImage = {
+        width: terrainImage.width,
+        height: terrainImage.height,
+        depths: terrainImage.depths
+      };
+    }
+
+    const ripples = engine.ripples;
+    if (ripples.active) {
+      state.ripples = { width: ripples.width, height: ripples.height, current: ripples.current };
+    }
+
+    return state;
+  }
+
+  /**
+   * Ask the worker for the next frame, unless one is already on its way
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   * @param {number} startRow - First row to sample
+   */
+  request(width, height, startRow) {
+    if (this.failed || this.pending) return;
+
+    this.pending = true;
+    this.worker.postMessage({ type: 'frame', width, height, startRow, state: this.getState() });
+  }
+
+  /**
+   * Get the latest frame from the worker if it fits the grid
+   * The frame trails the engine by the time the worker takes, usually one
+   * animation frame.
+   * @param {number} width - Grid width in cells
+   * @param {number} height - Grid height in cells
+   * @param {number} startRow - First row to sample
+   * @returns {Object|null} Frame from WaveEngine.sampleLayers, or null if
+   *   there is none yet or the grid or layer count changed since
+   */
+  getFrame(width, height, startRow) {
+    const frame = this.frame;
+    if (!frame || frame.width !== width || frame.height !== height || frame.startRow !== startRow ||
+      frame.layers !== this.waveEngine.config.layers) {
+      return null;
+    }
+    return frame;
+  }
+
+  /**
+   * Stop the worker
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+    }
+    this.failed = true;
+  }
+}
+
+// Export for use in other modules
+window.WaveWorkerClient = WaveWorkerClient;
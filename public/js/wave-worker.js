@@ -0,0 +1,56 @@
+/**
+ * Wave Worker
+ * Samples wave frames off the main thread for WaveWorkerClient
+ * Each request carries whatever engine state changed since the last one, so
+ * this engine follows the page's engine without keeping any state of its own.
+ */
+
+importScripts('utils.js', 'noise.js', 'ripples.js', 'terrain.js', 'sky.js', 'floaters.js', 'wave-engine.js');
+
+const engine = new WaveEngine();
+
+/**
+ * Bring the worker's engine up to date with the page's
+ * @param {Object} state - State from WaveWorkerClient.getState
+ */
+function applyState(state) {
+  if (Object.keys(state.config).length > 0) {
+    engine.updateConfig(state.config);
+  }
+  if (state.characterSets) {
+    engine.setCustomCharacterSets(state.characterSets);
+  }
+  engine.setCharacterSet(state.characterSet);
+  engine.setAllLayerSettings(state.layers);
+
+  if (state.terrainImage) {
+    engine.terrainImage.width = state.terrainImage.width;
+    engine.terrainImage.height = state.terrainImage.height;
+    engine.terrainImage.depths = state.terrainImage.depths;
+  }
+
+  const ripples = engine.ripples;
+  if (state.ripples) {
+    ripples.resize(state.ripples.width, state.ripples.height);
+    ripples.current.set(state.ripples.current);
+    ripples.active = true;
+  } else {
+    ripples.active = false;
+  }
+
+  engine.time = state.time;
+}
+
+self.onmessage = (e) => {
+  const message = e.data;
+  if (message.type !== 'frame') return;
+
+  applyState(message.state);
+
+  const start = performance.now();
+  const frame = engine.sampleLayers(message.width, message.height, message.startRow);
+  frame.time = message.state.time;
+  frame.duration = performance.now() - start;
+
+  self.postMessage({ type: 'frame', frame }, [frame.values.buffer, frame.chars.buffer, frame.surfaces.buffer]);
+};
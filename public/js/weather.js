@@ -0,0 +1,220 @@
+/**
+ * Weather
+ * Rain, snow, fog and lightning particle system drawn over the waves
+ */
+
+(function (root, factory) {
+  // Export as a CommonJS module under Node, or as a global in the browser
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./utils.js'));
+  } else {
+    root.Weather = factory(root.Utils);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Utils) {
+  'use strict';
+
+  const DEFAULTS = {
+    rain: 0,
+    snow: 0,
+    fog: 0,
+    lightning: 0
+  };
+
+  // Particles per grid cell at full intensity
+  const RAIN_DENSITY = 0.05;
+  const SNOW_DENSITY = 0.03;
+
+  // Fall speeds in cells per second, and sideways push from full wind
+  const RAIN_SPEED = 40;
+  const RAIN_WIND = 30;
+  const SNOW_SPEED = 4;
+  const SNOW_WIND = 6;
+
+  // Lightning strikes per second at full intensity, and flash fade time
+  const STRIKE_RATE = 0.4;
+  const FLASH_DURATION = 0.6;
+
+  const SNOW_CHARS = ['*', '.', '·', '+'];
+
+  // Salts keeping each kind of random draw independent of the others
+  const SPAWN = 1;
+  const RECYCLE = 2;
+  const STRIKE = 3;
+  const BOLT = 4;
+
+  class Weather {
+    constructor(config = {}) {
+      this.config = { ...DEFAULTS, ...config };
+      this.particles = [];
+      this.flash = 0;
+      this.bolt = [];
+      this.time = 0;
+
+      // Counters feeding the random draws, so the same seed and sequence of
+      // updates gives the same weather (GIF recording, frame stepping)
+      this.seed = 0;
+      this.spawned = 0;
+      this.steps = 0;
+      this.strikes = 0;
+    }
+
+    /**
+     * Update configuration
+     * @param {Object} newConfig - New configuration values
+     */
+    updateConfig(newConfig) {
+      Object.assign(this.config, newConfig);
+    }
+
+    /**
+     * Replace the configuration, filling unspecified settings with defaults
+     * @param {Object} config - Weather configuration (omit for clear weather)
+     */
+    reset(config = {}) {
+      this.config = { ...DEFAULTS, ...config };
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current configuration
+     */
+    getConfig() {
+      return { ...this.config };
+    }
+
+    /**
+     * Get a deterministic random number for this weather's seed
+     * @param {...number} values - Integers identifying the draw
+     * @returns {number} Value in [0, 1)
+     */
+    random(...values) {
+      return Utils.hashRandom(this.seed, ...values);
+    }
+
+    /**
+     * Advance particles and lightning
+     * @param {number} deltaTime - Time elapsed (seconds)
+     * @param {Object} wind - Wind from WaveEngine.getWind
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     * @param {number} seed - Random seed, e.g. the engine's noiseSeed
+     */
+    update(deltaTime, wind, width, height, seed = 0) {
+      this.seed = seed;
+      this.time += deltaTime;
+      this.updateParticles('rain', RAIN_DENSITY, width, height);
+      this.updateParticles('snow', SNOW_DENSITY, width, height);
+
+      for (const particle of this.particles) {
+        if (particle.type === 'rain') {
+          particle.vx = wind.x * RAIN_WIND;
+          particle.x += particle.vx * deltaTime;
+          particle.y += RAIN_SPEED * particle.speed * deltaTime;
+        } else {
+          // Snow sways as it drifts down
+          particle.x += (wind.x * SNOW_WIND + Math.sin(this.time * 1.5 + particle.phase)) * deltaTime;
+          particle.y += SNOW_SPEED * particle.speed * deltaTime;
+        }
+
+        // Recycle particles that leave the screen back at the top
+        if (particle.y >= height) {
+          particle.y -= height + 1;
+          particle.x = this.random(RECYCLE, particle.id, ++particle.cycle) * width;
+        }
+        particle.x = ((particle.x % width) + width) % width;
+      }
+
+      // Lightning
+      this.flash = Math.max(0, this.flash - deltaTime / FLASH_DURATION);
+      if (this.flash === 0) {
+        this.bolt = [];
+      }
+      if (deltaTime > 0 && this.random(STRIKE, this.steps++) < this.config.lightning * STRIKE_RATE * deltaTime) {
+        this.strike(width, height);
+      }
+    }
+
+    /**
+     * Keep the number of particles of one type in line with its intensity
+     * New particles start anywhere on screen, so weather appears at once.
+     * @param {string} type - Particle type: rain or snow
+     * @param {number} density - Particles per cell at full intensity
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     */
+    updateParticles(type, density, width, height) {
+      const target = Math.round(Utils.clamp(this.config[type], 0, 1) * density * width * height);
+      const current = this.particles.filter(particle => particle.type === type);
+
+      if (current.length > target) {
+        const excess = new Set(current.slice(target));
+        this.particles = this.particles.filter(particle => !excess.has(particle));
+        return;
+      }
+
+      for (let i = current.length; i < target; i++) {
+        const id = this.spawned++;
+        this.particles.push({
+          type,
+          id,
+          cycle: 0,
+          x: this.random(SPAWN, id, 0) * width,
+          y: this.random(SPAWN, id, 1) * height,
+          vx: 0,
+          speed: 0.7 + this.random(SPAWN, id, 2) * 0.6,
+          phase: this.random(SPAWN, id, 3) * Math.PI * 2,
+          char: SNOW_CHARS[Math.floor(this.random(SPAWN, id, 4) * SNOW_CHARS.length)]
+        });
+      }
+    }
+
+    /**
+     * Start a lightning flash with a zigzag bolt down from the top
+     * @param {number} width - Grid width in cells
+     * @param {number} height - Grid height in cells
+     */
+    strike(width, height) {
+      const strike = this.strikes++;
+      this.flash = 1;
+      this.bolt = [];
+
+      let x = Math.floor(width * (0.15 + this.random(BOLT, strike, -1) * 0.7));
+      const length = Math.floor(height * (0.3 + this.random(BOLT, strike, -2) * 0.3));
+      for (let y = 0; y < length; y++) {
+        const step = Math.floor(this.random(BOLT, strike, y) * 3) - 1;
+        this.bolt.push({ x, y, char: step < 0 ? '/' : step > 0 ? '\\' : '|' });
+        x += step;
+      }
+    }
+
+    /**
+     * Get the character for a particle
+     * @param {Object} particle - Particle
+     * @returns {string} Character
+     */
+    getParticleChar(particle) {
+      if (particle.type === 'snow') return particle.char;
+
+      // Rain streaks lean with the wind
+      const slope = particle.vx / RAIN_SPEED;
+      if (slope > 0.25) return '\\';
+      if (slope < -0.25) return '/';
+      return '|';
+    }
+
+    /**
+     * Get the fog opacity laid over the water behind a layer
+     * Fog drifts in banks, thicker in some columns than others.
+     * @param {number} x - X coordinate (0-1 normalized)
+     * @returns {number} Opacity (0-1)
+     */
+    getFogDensity(x) {
+      const bank = Math.sin(x * 7 + this.time * 0.2) * 0.5 + Math.sin(x * 3.1 - this.time * 0.13) * 0.5;
+      return Utils.clamp(this.config.fog, 0, 1) * (0.65 + bank * 0.35);
+    }
+  }
+
+  Weather.DEFAULTS = DEFAULTS;
+
+  return Weather;
+});
@@ -0,0 +1,60 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WaveEngine = require('../public/js/wave-engine.js');
+
+/**
+ * Lay the floaters out, then work out where the first one is drawn
+ */
+function position(engine) {
+  engine.layoutFloaters(120, 40);
+  const [object] = engine.floaters.config.objects;
+  const current = engine.getCurrent();
+  return { x: object.x + current.x * engine.time, y: object.y + current.y * engine.time };
+}
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual.x - expected.x) < 1e-9, `x ${actual.x} != ${expected.x}`);
+  assert.ok(Math.abs(actual.y - expected.y) < 1e-9, `y ${actual.y} != ${expected.y}`);
+}
+
+test('changing the wind or drift leaves floaters where they are', () => {
+  const engine = new WaveEngine({ noiseSeed: 3, windDirection: 0, windStrength: 0.2 });
+  engine.placeFloater('buoy', 0.5, 0.7);
+  engine.setTime(120);
+  const before = position(engine);
+
+  engine.updateConfig({ windDirection: 90, windStrength: 1 });
+  assertClose(position(engine), before);
+
+  engine.floaters.updateConfig({ drift: 1 });
+  assertClose(position(engine), before);
+});
+
+test('floaters drift with the new current after the wind changes', () => {
+  const engine = new WaveEngine({ noiseSeed: 3, windDirection: 0, windStrength: 0.2 });
+  engine.placeFloater('buoy', 0.5, 0.7);
+  engine.setTime(120);
+  position(engine);
+
+  engine.updateConfig({ windDirection: 180 });
+  const before = position(engine);
+  engine.setTime(121);
+
+  const current = engine.getCurrent();
+  assert.ok(current.x < 0);
+  assertClose(position(engine), { x: before.x + current.x, y: before.y + current.y });
+});
+
+test('floaters placed after a wind change appear where they were placed', () => {
+  const engine = new WaveEngine({ noiseSeed: 3, windDirection: 0 });
+  engine.placeFloater('buoy', 0.2, 0.7);
+  engine.setTime(60);
+  engine.updateConfig({ windDirection: 45 });
+  engine.placeFloater('boat', 0.6, 0.8);
+
+  const [, object] = engine.floaters.config.objects;
+  const current = engine.getCurrent();
+  assertClose({ x: object.x + current.x * 60, y: object.y + current.y * 60 }, { x: 0.6, y: 0.8 });
+});
@@ -0,0 +1,66 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const FrameFormat = require('../public/js/frame-format.js');
+
+// 3×2 frame: a coloured row over a row with a blank cell in the middle
+function makeFrame() {
+  return {
+    width: 3,
+    height: 2,
+    values: new Float32Array([0.1, 0.2, 0.3, 0.4, 0, 0.6]),
+    layers: new Int8Array([0, 0, 1, 0, -1, 0]),
+    chars: new Uint32Array(Array.from('~≈<* █', char => char.codePointAt(0))),
+    surfaces: new Uint8Array(6)
+  };
+}
+
+const red = () => [255, 0, 0];
+
+test('toText writes one line per row', () => {
+  assert.strictEqual(FrameFormat.toText(makeFrame()), '~≈<\n* █');
+  assert.strictEqual(FrameFormat.toText(makeFrame(), '\r\n'), '~≈<\r\n* █');
+});
+
+test('toANSI only emits a colour when it changes', () => {
+  const ansi = FrameFormat.toANSI(makeFrame(), red);
+  const lines = ansi.split('\n');
+
+  assert.strictEqual(lines.length, 2);
+  assert.strictEqual(lines[0], '\x1b[38;2;255;0;0m~≈<\x1b[0m');
+  assert.strictEqual(lines[1], '\x1b[38;2;255;0;0m* █\x1b[0m');
+});
+
+test('toANSI passes each cell to getColor and sets the background', () => {
+  const calls = [];
+  const ansi = FrameFormat.toANSI(makeFrame(), (value, layer, surface) => {
+    calls.push([Math.round(value * 10), layer, surface]);
+    return [layer, 0, 0];
+  }, { background: [1, 2, 3] });
+
+  // The blank cell (layer -1) isn't coloured
+  assert.deepStrictEqual(calls, [[1, 0, 0], [2, 0, 0], [3, 1, 0], [4, 0, 0], [6, 0, 0]]);
+  assert.ok(ansi.startsWith('\x1b[48;2;1;2;3m\x1b[38;2;0;0;0m~≈\x1b[38;2;1;0;0m<'));
+});
+
+test('toHTML escapes markup and joins blank cells into the current span', () => {
+  const html = FrameFormat.toHTML(makeFrame(), red, { background: [0, 0, 0] });
+
+  assert.ok(html.startsWith('<pre style="background: rgb(0, 0, 0);'));
+  assert.ok(html.includes('<span style="color: rgb(255, 0, 0)">~≈&lt;</span>'));
+  assert.ok(html.includes('<span style="color: rgb(255, 0, 0)">* █</span>'));
+  assert.ok(html.endsWith('</pre>'));
+});
+
+test('frames with their own colors are formatted without getColor', () => {
+  const frame = makeFrame();
+  frame.colors = new Uint8ClampedArray(18).fill(9);
+  frame.colors.set([1, 2, 3], 6);
+
+  const ansi = FrameFormat.toANSI(frame, null);
+  assert.ok(ansi.startsWith('\x1b[38;2;9;9;9m~≈\x1b[38;2;1;2;3m<'));
+
+  const html = FrameFormat.toHTML(frame, null);
+  assert.ok(html.includes('<span style="color: rgb(1, 2, 3)">&lt;</span>'));
+});
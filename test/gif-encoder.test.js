@@ -0,0 +1,166 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const GifEncoder = require('../public/js/gif-encoder.js');
+
+/**
+ * Minimal GIF reader: the global palette and each frame's decoded indices
+ * @param {Uint8Array} bytes - GIF file
+ * @returns {Object} width, height, palette and frames
+ */
+function readGif(bytes) {
+  let pos = 0;
+  const byte = () => bytes[pos++];
+  const short = () => byte() | (byte() << 8);
+
+  assert.strictEqual(String.fromCharCode(...bytes.subarray(0, 6)), 'GIF89a');
+  pos = 6;
+  const width = short();
+  const height = short();
+  const flags = byte();
+  pos += 2;
+
+  const palette = [];
+  for (let i = 0; i < 1 << ((flags & 7) + 1); i++) {
+    palette.push([byte(), byte(), byte()]);
+  }
+
+  const readBlocks = () => {
+    const data = [];
+    for (let size = byte(); size > 0; size = byte()) {
+      data.push(...bytes.subarray(pos, pos + size));
+      pos += size;
+    }
+    return data;
+  };
+
+  const frames = [];
+  const delays = [];
+  for (;;) {
+    const introducer = byte();
+    if (introducer === 0x3b) break;
+
+    if (introducer === 0x21) {
+      const label = byte();
+      const blocks = readBlocks();
+      if (label === 0xf9) delays.push(blocks[1] | (blocks[2] << 8));
+      continue;
+    }
+
+    assert.strictEqual(introducer, 0x2c);
+    pos += 9;
+    const minCodeSize = byte();
+    frames.push(decodeLZW(readBlocks(), minCodeSize, width * height));
+  }
+
+  return { width, height, palette, frames, delays };
+}
+
+/**
+ * Decode GIF LZW data the way browsers do
+ * @param {Array<number>} data - Joined data sub-blocks
+ * @param {number} minCodeSize - LZW minimum code size
+ * @param {number} pixelCount - Pixels expected
+ * @returns {Array<number>} Palette indices
+ */
+function decodeLZW(data, minCodeSize, pixelCount) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  let codeSize = minCodeSize + 1;
+  let table = [];
+  let previous = null;
+  let bit = 0;
+  const output = [];
+
+  const reset = () => {
+    table = [];
+    for (let i = 0; i < clearCode; i++) table.push([i]);
+    table.push(null, null);
+    codeSize = minCodeSize + 1;
+    previous = null;
+  };
+  reset();
+
+  while (bit + codeSize <= data.length * 8) {
+    let code = 0;
+    for (let i = 0; i < codeSize; i++, bit++) {
+      code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+
+    if (code === clearCode) {
+      reset();
+      continue;
+    }
+    if (code === endCode) break;
+
+    let entry;
+    if (code < table.length) {
+      entry = table[code];
+      if (previous) table.push([...previous, entry[0]]);
+    } else {
+      assert.strictEqual(code, table.length, 'code out of sequence');
+      entry = [...previous, previous[0]];
+      table.push(entry);
+    }
+    output.push(...entry);
+    previous = entry;
+
+    if (table.length === 1 << codeSize && codeSize < 12) codeSize++;
+  }
+
+  assert.strictEqual(output.length, pixelCount);
+  return output;
+}
+
+// Deterministic noise so the test doesn't depend on Math.random
+function noise(count, colors, seed) {
+  const values = new Uint8Array(count);
+  let state = seed;
+  for (let i = 0; i < count; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    values[i] = (state >>> 16) % colors;
+  }
+  return values;
+}
+
+const grey = (count) => Array.from({ length: count }, (_, i) => [i, i, i]);
+
+test('indices survive LZW round trips as the code size grows and resets', () => {
+  // Noise fills the 4096-code table several times over
+  const width = 120;
+  const height = 100;
+  const encoder = new GifEncoder(width, height, { palette: grey(256) });
+  const frames = [noise(width * height, 256, 1), noise(width * height, 4, 2), new Uint8Array(width * height)];
+  frames.forEach(frame => encoder.addFrame(frame));
+
+  const gif = readGif(encoder.finish());
+  assert.strictEqual(gif.frames.length, 3);
+  gif.frames.forEach((decoded, i) => assert.deepStrictEqual(decoded, Array.from(frames[i])));
+});
+
+test('small palettes use the minimum code size of 2', () => {
+  const encoder = new GifEncoder(7, 5, { palette: grey(2) });
+  const frame = noise(35, 2, 3);
+  encoder.addFrame(frame);
+
+  const gif = readGif(encoder.finish());
+  assert.strictEqual(gif.palette.length, 2);
+  assert.deepStrictEqual(gif.frames[0], Array.from(frame));
+});
+
+test('RGBA frames are mapped to the nearest palette color', () => {
+  const palette = [[0, 0, 0], [255, 0, 0], [0, 0, 255]];
+  const encoder = new GifEncoder(3, 1, { palette, delay: 50 });
+  encoder.addFrame(new Uint8ClampedArray([250, 10, 0, 255, 5, 5, 5, 255, 0, 20, 200, 255]));
+
+  const gif = readGif(encoder.finish());
+  assert.deepStrictEqual(gif.frames[0], [1, 0, 2]);
+  assert.deepStrictEqual(gif.delays, [5]);
+  assert.deepStrictEqual(gif.palette.slice(0, 3), palette);
+});
+
+test('palettes must hold 1 to 256 colors', () => {
+  assert.throws(() => new GifEncoder(1, 1, { palette: [] }));
+  assert.throws(() => new GifEncoder(1, 1, { palette: grey(257) }));
+});
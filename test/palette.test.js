@@ -0,0 +1,34 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Palette = require('../public/js/palette.js');
+const Terrain = require('../public/js/terrain.js');
+const WaveEngine = require('../public/js/wave-engine.js');
+
+const FOAM = [255, 255, 255];
+
+const VISUAL = {
+  ...Palette.GRADIENT_DEFAULTS,
+  colorMode: 'gradient',
+  foamColor: '#ffffff',
+  backgroundColor: '#000000',
+  contrast: 1,
+  brightness: 0
+};
+
+test('gradient foam starts at the engine\'s foam threshold', () => {
+  const engine = new WaveEngine({ noiseSeed: 1, foamThreshold: 0.85, windStrength: 1, amplitude: 1, layers: 1 });
+  const threshold = engine.getFoamThreshold();
+  const colorAt = (normalized) => Palette.calculateCellColor(normalized * 2 - 1, 0, engine, VISUAL);
+
+  assert.deepStrictEqual(colorAt(threshold + 0.02), FOAM);
+  assert.notDeepStrictEqual(colorAt(threshold - 0.02), FOAM);
+});
+
+test('without a foam threshold only surf takes the foam color', () => {
+  const waveConfig = { amplitude: 1, depthEffect: 0 };
+
+  assert.notDeepStrictEqual(Palette.calculateColor(0.99, 0, waveConfig, VISUAL), FOAM);
+  assert.deepStrictEqual(Palette.calculateColor(0, 0, waveConfig, VISUAL, Terrain.SURFACE.SURF), FOAM);
+});
@@ -0,0 +1,33 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Presets = require('../public/js/presets.js');
+
+test('version 1 configs get an empty override per layer', () => {
+  const config = { wave: { layers: 3, amplitude: 1.2 }, visual: { hue: 200 } };
+  const migrated = Presets.migrateConfig(config);
+
+  assert.deepStrictEqual(migrated.layers, [{}, {}, {}]);
+  assert.strictEqual(migrated.version, Presets.CONFIG_VERSION);
+  assert.deepStrictEqual(migrated.wave, config.wave);
+  assert.deepStrictEqual(migrated.visual, config.visual);
+});
+
+test('configs without wave settings migrate to no layer overrides', () => {
+  assert.deepStrictEqual(Presets.migrateConfig({}).layers, []);
+});
+
+test('current configs keep their layer overrides', () => {
+  const layers = [{ hue: 10 }, {}, { opacity: 0.5 }];
+  const migrated = Presets.migrateConfig({ wave: { layers: 3 }, layers, version: Presets.CONFIG_VERSION });
+
+  assert.deepStrictEqual(migrated.layers, layers);
+});
+
+test('migrating leaves the original config alone', () => {
+  const config = { wave: { layers: 2 } };
+  Presets.migrateConfig(config);
+
+  assert.deepStrictEqual(config, { wave: { layers: 2 } });
+});
@@ -0,0 +1,108 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const QualityManager = require('../public/js/quality-manager.js');
+
+/**
+ * Feed a second's worth of evenly spaced frames
+ */
+function runWindow(quality, frameGap, workTime) {
+  let changed = false;
+  for (let time = 0; time < 1000; time += frameGap) {
+    changed = quality.sample(frameGap, workTime) || changed;
+  }
+  return changed;
+}
+
+test('nothing changes while adaptive quality is off', () => {
+  const quality = new QualityManager({ targetFps: 30 });
+
+  assert.strictEqual(runWindow(quality, 100, 90), false);
+  assert.strictEqual(quality.level, 0);
+});
+
+test('a slow window drops one step, a window within tolerance none', () => {
+  const quality = new QualityManager({ adaptive: true, targetFps: 30 });
+
+  assert.strictEqual(runWindow(quality, 1000 / 28, 10), false);
+  assert.strictEqual(quality.level, 0);
+
+  assert.strictEqual(runWindow(quality, 50, 10), true);
+  assert.strictEqual(quality.level, 1);
+});
+
+test('work over the frame budget drops a step even at the target rate', () => {
+  const quality = new QualityManager({ adaptive: true, targetFps: 30 });
+
+  runWindow(quality, 1000 / 30, 40);
+  assert.strictEqual(quality.level, 1);
+});
+
+test('steps drop layers, grow cells and finally cap the frame rate', () => {
+  const quality = new QualityManager({ adaptive: true, targetFps: 20 });
+  const levels = [];
+  for (let level = 0; level <= QualityManager.STEPS.length; level++) {
+    quality.level = level;
+    levels.push([quality.getLayers(3), quality.getCellSize(16), quality.getFrameRate()]);
+  }
+
+  assert.deepStrictEqual(levels, [
+    [3, 16, 0],
+    [2, 16, 0],
+    [2, 20, 0],
+    [1, 20, 0],
+    [1, 25, 0],
+    [1, 25, 20],
+    [1, 31, 20]
+  ]);
+});
+
+test('quality comes back a step only after several windows with headroom', () => {
+  const quality = new QualityManager({ adaptive: true, targetFps: 30 });
+  quality.level = 2;
+
+  for (let i = 1; i < 3; i++) {
+    assert.strictEqual(runWindow(quality, 1000 / 30, 5), false);
+  }
+  assert.strictEqual(runWindow(quality, 1000 / 30, 5), true);
+  assert.strictEqual(quality.level, 1);
+
+  // Work near the budget resets the count
+  runWindow(quality, 1000 / 30, 5);
+  runWindow(quality, 1000 / 30, 25);
+  runWindow(quality, 1000 / 30, 5);
+  assert.strictEqual(quality.level, 1);
+});
+
+test('long gaps between frames are not measured', () => {
+  const quality = new QualityManager({ adaptive: true, targetFps: 30 });
+
+  for (let i = 0; i < 10; i++) {
+    assert.strictEqual(quality.sample(500, 5), false);
+  }
+  assert.strictEqual(quality.level, 0);
+});
+
+test('a cap that skips to every other refresh is measured at the rate it reaches', () => {
+  const quality = new QualityManager({ adaptive: true, targetFps: 45 });
+  quality.level = 5;
+  for (let i = 0; i < 10; i++) {
+    quality.measureRefresh(1000 / 60);
+  }
+
+  assert.strictEqual(quality.isFrameDue(1000 / 60), false);
+  assert.strictEqual(quality.isFrameDue(2000 / 60), true);
+  assert.ok(Math.abs(quality.getExpectedFps() - 30) < 1e-9);
+
+  assert.strictEqual(runWindow(quality, 2000 / 60, 10), false);
+  assert.strictEqual(quality.level, 5);
+});
+
+test('a cap that divides the refresh rate is measured at the cap', () => {
+  const quality = new QualityManager({ adaptive: true, targetFps: 30 });
+  quality.level = 5;
+  quality.measureRefresh(1000 / 60);
+
+  assert.ok(Math.abs(quality.getExpectedFps() - 30) < 1e-9);
+});
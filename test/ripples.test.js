@@ -0,0 +1,26 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const RippleField = require('../public/js/ripples.js');
+
+test('resizing keeps active ripples in place on screen', () => {
+  const ripples = new RippleField(40, 20);
+  ripples.disturb(0.25, 0.5, 1, 4);
+  const before = ripples.sample(0.25, 0.5);
+
+  ripples.resize(32, 16);
+
+  assert.strictEqual(ripples.active, true);
+  assert.strictEqual(ripples.current.length, 32 * 16);
+  assert.ok(ripples.sample(0.25, 0.5) > before * 0.5);
+  assert.ok(Math.abs(ripples.sample(0.75, 0.5)) < 1e-6);
+});
+
+test('resizing still water leaves it flat', () => {
+  const ripples = new RippleField(40, 20);
+  ripples.resize(50, 25);
+
+  assert.strictEqual(ripples.active, false);
+  assert.ok(ripples.current.every(value => value === 0));
+});
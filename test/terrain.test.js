@@ -0,0 +1,43 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Terrain = require('../public/js/terrain.js');
+
+function grayImage(width, height, shade) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    const value = shade(i / 4 % width, Math.floor(i / 4 / width));
+    data[i] = data[i + 1] = data[i + 2] = value;
+    data[i + 3] = 255;
+  }
+  return { width, height, data };
+}
+
+test('image masks put the waterline at 70% luminance', () => {
+  const terrain = new Terrain();
+  terrain.loadImageData(grayImage(4, 4, () => Math.round(255 * 0.7)));
+
+  assert.ok(Math.abs(terrain.sample(0.5, 0.5) - Terrain.WATERLINE) < 0.01);
+});
+
+test('masks survive packing for storage to within a byte', () => {
+  const terrain = new Terrain();
+  terrain.loadImageData(grayImage(64, 32, (x, y) => (x * 4 + y * 3) % 256));
+
+  const restored = new Terrain();
+  restored.loadBase64(terrain.toBase64());
+
+  assert.strictEqual(restored.depths.length, terrain.depths.length);
+  terrain.depths.forEach((depth, i) => {
+    assert.ok(Math.abs(restored.depths[i] - depth) <= 0.5 / 255 + 1e-6);
+  });
+});
+
+test('an empty mask packs to null', () => {
+  assert.strictEqual(new Terrain().toBase64(), null);
+});
+
+test('packed masks of the wrong size are refused', () => {
+  assert.throws(() => new Terrain().loadBase64(btoa('short')), /Expected/);
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const Timeline = require('../public/js/timeline.js');
+
+test('values hold steady before the first and after the last keyframe', () => {
+  const timeline = new Timeline();
+  timeline.addKeyframe('amplitude', 2, 1);
+  timeline.addKeyframe('amplitude', 4, 3);
+
+  assert.deepStrictEqual(timeline.evaluate(0), { amplitude: 1 });
+  assert.deepStrictEqual(timeline.evaluate(2), { amplitude: 1 });
+  assert.deepStrictEqual(timeline.evaluate(4), { amplitude: 3 });
+  assert.deepStrictEqual(timeline.evaluate(10), { amplitude: 3 });
+});
+
+test('values follow the easing of the keyframe they leave', () => {
+  const at = (easing, time) => {
+    const timeline = new Timeline();
+    timeline.addKeyframe('hue', 0, 100, easing);
+    timeline.addKeyframe('hue', 10, 200);
+    return timeline.evaluate(time).hue;
+  };
+
+  assert.strictEqual(at('linear', 2.5), 125);
+  assert.strictEqual(at('easeIn', 5), 125);
+  assert.strictEqual(at('easeOut', 5), 175);
+  assert.strictEqual(at('easeInOut', 2.5), 112.5);
+  assert.strictEqual(at('easeInOut', 7.5), 187.5);
+  assert.strictEqual(at('step', 9.9), 100);
+});
+
+test('every easing runs from 0 to 1', () => {
+  Object.entries(Timeline.easings).forEach(([name, easing]) => {
+    assert.strictEqual(easing(0), 0, name);
+    if (name !== 'step') assert.strictEqual(easing(1), 1, name);
+  });
+});
+
+test('keyframes stay sorted and replace ones at the same time', () => {
+  const timeline = new Timeline();
+  timeline.addKeyframe('speed', 5, 2);
+  timeline.addKeyframe('speed', 1, 1);
+  timeline.addKeyframe('speed', 5, 4, 'bounce');
+
+  assert.deepStrictEqual(timeline.tracks.speed, [
+    { time: 1, value: 1, easing: 'linear' },
+    { time: 5, value: 4, easing: 'linear' }
+  ]);
+
+  timeline.removeKeyframe('speed', 0);
+  timeline.removeKeyframe('speed', 0);
+  assert.ok(timeline.isEmpty());
+});
+
+test('load round-trips toJSON and skips invalid keyframes', () => {
+  const timeline = new Timeline();
+  timeline.addKeyframe('amplitude', 0, 1, 'easeOut');
+  timeline.addKeyframe('hue', 3, 180);
+  timeline.enabled = false;
+
+  const copy = new Timeline();
+  copy.load(JSON.parse(JSON.stringify(timeline.toJSON())));
+  assert.deepStrictEqual(copy.toJSON(), timeline.toJSON());
+
+  copy.load({ tracks: { amplitude: [{ time: 'x', value: 1 }, null, { time: 1, value: 2 }], hue: 'bad' } });
+  assert.strictEqual(copy.enabled, true);
+  assert.deepStrictEqual(copy.toJSON().tracks, { amplitude: [{ time: 1, value: 2, easing: 'linear' }] });
+});
+
+test('load skips tracks for parameters that can\'t be animated', () => {
+  const timeline = new Timeline();
+  timeline.load(JSON.parse(`{
+    "tracks": {
+      "__proto__": [{ "time": 0, "value": 1 }],
+      "constructor": [{ "time": 0, "value": 1 }],
+      "layers": [{ "time": 0, "value": 1 }, { "time": 10, "value": 5 }],
+      "cellSize": [{ "time": 0, "value": 8 }],
+      "noiseSeed": [{ "time": 0, "value": 3 }],
+      "hue": [{ "time": 0, "value": 90 }]
+    }
+  }`));
+
+  assert.deepStrictEqual(Object.keys(timeline.tracks), ['hue']);
+  assert.deepStrictEqual(timeline.evaluate(5), { hue: 90 });
+  assert.strictEqual(Object.prototype.time, undefined);
+});
+
+test('the timeline panel offers exactly the animatable parameters', () => {
+  const html = fs.readFileSync(path.join(__dirname, '../public/index.html'), 'utf8');
+  const select = html.match(/<select id="timelineParam">([\s\S]*?)<\/select>/)[1];
+  const options = [...select.matchAll(/value="(\w+)"/g)].map(match => match[1]);
+
+  assert.deepStrictEqual(options, Timeline.PARAMETERS);
+});
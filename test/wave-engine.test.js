@@ -0,0 +1,56 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WaveEngine = require('../public/js/wave-engine.js');
+
+test('sampleGrid returns the same frame for the same seed and time', () => {
+  const a = new WaveEngine({ noiseSeed: 42 }).sampleGrid(40, 12, 3.5);
+  const b = new WaveEngine({ noiseSeed: 42 }).sampleGrid(40, 12, 3.5);
+
+  assert.deepStrictEqual(a.values, b.values);
+  assert.deepStrictEqual(a.layers, b.layers);
+  assert.deepStrictEqual(a.chars, b.chars);
+  assert.deepStrictEqual(a.surfaces, b.surfaces);
+});
+
+test('sampleGrid depends on the seed and the time', () => {
+  const engine = new WaveEngine({ noiseSeed: 42 });
+  const frame = engine.sampleGrid(40, 12, 3.5);
+
+  assert.notDeepStrictEqual(engine.sampleGrid(40, 12, 4.5).values, frame.values);
+  assert.notDeepStrictEqual(new WaveEngine({ noiseSeed: 7 }).sampleGrid(40, 12, 3.5).values, frame.values);
+});
+
+test('sampleGrid leaves the engine time alone', () => {
+  const engine = new WaveEngine({ noiseSeed: 1 });
+  engine.update(0.5);
+  const time = engine.time;
+
+  const frame = engine.sampleGrid(20, 8, 10);
+  assert.strictEqual(engine.time, time);
+  assert.strictEqual(frame.time, 10);
+});
+
+test('sampleGrid fills a frame of the requested size', () => {
+  const frame = new WaveEngine({ noiseSeed: 3 }).sampleGrid(30, 10);
+
+  assert.strictEqual(frame.width, 30);
+  assert.strictEqual(frame.height, 10);
+  [frame.values, frame.layers, frame.chars, frame.surfaces].forEach(array => {
+    assert.strictEqual(array.length, 300);
+  });
+  frame.layers.forEach(layer => assert.ok(layer >= -1 && layer < 3));
+});
+
+test('setCustomCharacterSets returns why it skipped a set', () => {
+  const engine = new WaveEngine({ noiseSeed: 42 });
+  const errors = engine.setCustomCharacterSets({
+    dots: { sky: [' '], surface: ['.'], shallow: [':'], medium: ['o'], deep: ['O'], foam: ['*'] },
+    classic: { calm: ['.'] }
+  });
+
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /"classic"/);
+  assert.deepStrictEqual(Object.keys(engine.getCustomCharacterSets()), ['dots']);
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Weather = require('../public/js/weather.js');
+
+const WIND = { x: 0.4, y: 0 };
+
+function run(seed, config = { rain: 0.6, snow: 0.4, lightning: 1 }) {
+  const weather = new Weather(config);
+  const bolts = [];
+  for (let i = 0; i < 300; i++) {
+    weather.update(1 / 30, WIND, 60, 30, seed);
+    if (weather.bolt.length > 0) {
+      bolts.push(weather.bolt.map(cell => cell.x).join(','));
+    }
+  }
+  return { particles: weather.particles.map(({ x, y, char }) => [x, y, char]), bolts };
+}
+
+test('the same seed gives the same particles and bolts', () => {
+  const first = run(42);
+  assert.ok(first.bolts.length > 0);
+  assert.deepStrictEqual(run(42), first);
+});
+
+test('different seeds give different weather', () => {
+  assert.notDeepStrictEqual(run(1).particles, run(2).particles);
+});
+
+test('paused updates leave the weather as it was', () => {
+  const weather = new Weather({ rain: 1, lightning: 1 });
+  weather.update(1 / 30, WIND, 40, 20, 7);
+  const before = JSON.stringify(weather);
+  for (let i = 0; i < 100; i++) {
+    weather.update(0, WIND, 40, 20, 7);
+  }
+  const after = JSON.stringify(weather);
+  assert.strictEqual(after, before);
+});